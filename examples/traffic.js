@@ -188,20 +188,15 @@ engine.addRule({
     }
 });
 
-// Beta test: If a vehicle is at an intersection that needs cleanup, detour them
+// Join: If a vehicle is at an intersection that needs cleanup, detour them
 engine.addRule({
     name: 'VehicleAccidentDetour',
     salience: 40,
     conditions: {
         all: [
             { var: 'c', type: 'CleanupQueue', test: c => c.reason === 'Accident' },
-            { var: 'v', type: 'Vehicle', test: v => true },
-            { test: (facts, bindings) => {
-                const cleanup = bindings.c.data;
-                const vehicle = bindings.v.data;
-                return vehicle.intersectionId === cleanup.intersectionId;
-            }
-            }
+            // Hashed equality join instead of a beta test over every pair
+            { var: 'v', type: 'Vehicle', test: v => !v.detoured, join: { intersectionId: 'c.intersectionId' } }
         ]
     },
     action: (facts, eng, bindings) => {
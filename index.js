@@ -1 +1,3 @@
 export { RulesEngine } from './lib/rules-engine.js';
+export { parseRules } from './lib/parser.js';
+export { validateRule, validateRules } from './lib/validate.js';
@@ -0,0 +1,256 @@
+import { compileWhere, describeConstraints, matchesConstraints } from './where.js';
+
+/**
+ * Static analysis of compiled rules (see RulesEngine#analyzeRules).
+ *
+ * What an action does is only known for rules that declare it with
+ * `produces` and `modifies` (rules from loadRules() do so themselves). Rules
+ * that don't are listed in `undeclaredEffects`: findings about what actions
+ * produce may be incomplete while there are any.
+ */
+export function analyzeRuleSet(rules, { inputTypes = [] } = {}) {
+    return {
+        unreachable: findUnreachable(rules, inputTypes),
+        contradictions: rules.flatMap(findContradictions),
+        duplicates: findDuplicates(rules),
+        loops: findLoops(rules),
+        undeclaredEffects: rules.filter(rule => !rule.produces && !rule.modifies).map(rule => rule.name)
+    };
+}
+
+/**
+ * Rules that need a fact of a type that neither the inputs nor a rule that
+ * can itself fire produce.
+ */
+function findUnreachable(rules, inputTypes) {
+    const available = new Set(inputTypes);
+    const reachable = new Set();
+    for (let changed = true; changed;) {
+        changed = false;
+        for (const rule of rules) {
+            if (reachable.has(rule) || !canMatch(rule.conditions, available)) continue;
+            reachable.add(rule);
+            for (const type of rule.produces || []) {
+                available.add(type);
+            }
+            changed = true;
+        }
+    }
+
+    return rules.filter(rule => !reachable.has(rule)).map(rule => ({
+        rule: rule.name,
+        missingTypes: Array.from(positiveTypes(rule.conditions, false)).filter(type => !available.has(type))
+    }));
+}
+
+// `not`, accumulators (which also match no facts) and beta tests don't need any fact
+function canMatch(condition, available) {
+    if (condition.all) return condition.all.every(c => canMatch(c, available));
+    if (condition.any) return condition.any.some(c => canMatch(c, available));
+    if (condition.exists) return canMatch(condition.exists, available);
+    if (condition.not || condition.accumulate || !condition.type) return true;
+    return available.has(condition.type);
+}
+
+/**
+ * The types of the patterns outside of `not`, with or without accumulators.
+ */
+function positiveTypes(condition, withAccumulators, types = new Set()) {
+    for (const c of condition.all || condition.any || []) {
+        positiveTypes(c, withAccumulators, types);
+    }
+    if (condition.exists) {
+        positiveTypes(condition.exists, withAccumulators, types);
+    }
+    if (condition.type && (withAccumulators || !condition.accumulate)) {
+        types.add(condition.type);
+    }
+    return types;
+}
+
+/**
+ * `where` constraints on one attribute that no value can satisfy, e.g.
+ * `{ age: { $gt: 65, $lt: 18 } }`.
+ */
+function findContradictions(rule) {
+    const found = [];
+    visitPatterns(rule.conditions, '$.conditions', (pattern, path) => {
+        if (pattern.where === undefined) return;
+        const byAttribute = new Map();
+        for (const constraint of compileWhere(pattern.where, pattern.type)) {
+            if (constraint.ref !== undefined) continue;
+            if (!byAttribute.has(constraint.path)) byAttribute.set(constraint.path, []);
+            byAttribute.get(constraint.path).push(constraint);
+        }
+        for (const constraints of byAttribute.values()) {
+            if (!satisfiable(constraints)) {
+                found.push({ rule: rule.name, path: `${path}.where`, type: pattern.type, where: describeConstraints(constraints) });
+            }
+        }
+    });
+    return found;
+}
+
+function visitPatterns(condition, path, visit) {
+    for (const key of ['all', 'any']) {
+        (condition[key] || []).forEach((c, i) => visitPatterns(c, `${path}.${key}[${i}]`, visit));
+    }
+    for (const key of ['not', 'exists']) {
+        if (condition[key]) visitPatterns(condition[key], `${path}.${key}`, visit);
+    }
+    if (condition.type) {
+        visit(condition, path);
+    }
+}
+
+/**
+ * Constraints pinning the attribute to some values ($eq, $in, $exists: false)
+ * are satisfiable if one of those values passes all of them. Otherwise only
+ * ranges can exclude every value.
+ */
+function satisfiable(constraints) {
+    const candidates = [];
+    let pinned = false;
+    for (const { op, value } of constraints) {
+        if (op === '$eq') candidates.push(value);
+        if (op === '$in' && Array.isArray(value)) candidates.push(...value);
+        if (op === '$exists' && !value) candidates.push(undefined);
+        pinned = pinned || op === '$eq' || op === '$in' || (op === '$exists' && !value);
+    }
+    if (pinned) {
+        return candidates.some(value => passes(value, constraints));
+    }
+
+    const bounds = constraints.filter(c => ['$gt', '$gte', '$lt', '$lte'].includes(c.op));
+    if (bounds.length === 0) return true;
+    // Values of different kinds never compare
+    const kinds = new Set(bounds.map(({ value }) => (value instanceof Date ? 'date' : typeof value)));
+    if (kinds.size > 1 || !['number', 'string', 'date'].some(kind => kinds.has(kind))) return false;
+
+    const key = value => (value instanceof Date ? value.getTime() : value);
+    let lower = null;
+    let upper = null;
+    for (const bound of bounds) {
+        const strict = bound.op === '$gt' || bound.op === '$lt';
+        if (bound.op === '$gt' || bound.op === '$gte') {
+            if (!lower || key(bound.value) > key(lower.value) || (key(bound.value) === key(lower.value) && strict)) {
+                lower = { value: bound.value, strict };
+            }
+        } else if (!upper || key(bound.value) < key(upper.value) || (key(bound.value) === key(upper.value) && strict)) {
+            upper = { value: bound.value, strict };
+        }
+    }
+    if (!lower || !upper || key(lower.value) < key(upper.value)) return true;
+    if (key(lower.value) > key(upper.value) || lower.strict || upper.strict) return false;
+    return passes(lower.value, constraints);
+}
+
+function passes(value, constraints) {
+    const path = constraints[0].path.split('.');
+    const data = path.reduceRight((nested, key) => ({ [key]: nested }), value);
+    return matchesConstraints(data, constraints);
+}
+
+/**
+ * Groups of rules with the same conditions. Variable names don't matter,
+ * unless beta tests (which see the bindings by name) use them.
+ */
+function findDuplicates(rules) {
+    const byConditions = new Map();
+    for (const rule of rules) {
+        const key = JSON.stringify(canonical(rule.conditions, variableNames(rule.conditions)));
+        if (!byConditions.has(key)) byConditions.set(key, []);
+        byConditions.get(key).push(rule.name);
+    }
+    return Array.from(byConditions.values()).filter(names => names.length > 1).map(names => ({ rules: names }));
+}
+
+function variableNames(conditions) {
+    const names = new Map();
+    if (hasBetaTest(conditions)) {
+        return { of: name => name, bind: () => {} };
+    }
+    return {
+        of: name => names.get(name) ?? name,
+        bind: name => names.set(name, `$${names.size}`)
+    };
+}
+
+function hasBetaTest(condition) {
+    if (Array.isArray(condition)) return condition.some(hasBetaTest);
+    if (!condition || typeof condition !== 'object') return false;
+    if (condition.test && !condition.type) return true;
+    return ['all', 'any', 'not', 'exists'].some(key => hasBetaTest(condition[key]));
+}
+
+// A JSON-friendly form of conditions, in which functions are compared by their source
+function canonical(value, names) {
+    if (typeof value === 'function') return `function ${value}`;
+    if (value instanceof RegExp) return `regexp ${value}`;
+    if (Array.isArray(value)) return value.map(v => canonical(v, names));
+    if (!value || typeof value !== 'object' || value instanceof Date) return value;
+
+    const result = {};
+    for (const key of Object.keys(value).sort()) {
+        if (value[key] === undefined || key === 'var' || key === 'groupVar') continue;
+        if (key === 'where' && typeof value.type === 'string') {
+            result.where = compileWhere(value.where, value.type)
+                .map(({ path, op, value: expected, ref }) =>
+                    [path, op, ref !== undefined ? { ref: renameRef(ref, names) } : canonical(expected, names)])
+                .sort((a, b) => (JSON.stringify(a) < JSON.stringify(b) ? -1 : 1));
+        } else if (key === 'join') {
+            result.join = Object.entries(value.join)
+                .map(([attribute, ref]) => [attribute, renameRef(String(ref), names)])
+                .sort();
+        } else {
+            result[key] = canonical(value[key], names);
+        }
+    }
+    // Variables are bound after their own pattern's references are resolved
+    if (value.var !== undefined && value.type) {
+        names.bind(value.var);
+        result.var = names.of(value.var);
+    }
+    if (value.accumulate && value.groupBy) {
+        names.bind(value.groupVar || 'groupKey');
+        result.groupVar = names.of(value.groupVar || 'groupKey');
+    }
+    return result;
+}
+
+function renameRef(ref, names) {
+    const [varName, ...path] = ref.split('.');
+    return [names.of(varName), ...path].join('.');
+}
+
+/**
+ * Rules whose actions (re)activate each other: one inserts a type the other
+ * matches, or updates or removes a type it refers to, and the other way
+ * around. A rule that does so to itself loops unless it has `noLoop`.
+ */
+function findLoops(rules) {
+    const triggers = (writer, reader) => {
+        const matched = positiveTypes(reader.conditions, true);
+        const types = new Set([
+            ...(writer.produces || []).filter(type => matched.has(type)),
+            ...(writer.modifies || []).filter(type => reader.referencedTypes.has(type))
+        ]);
+        return Array.from(types);
+    };
+
+    const loops = [];
+    rules.forEach((rule, i) => {
+        const own = triggers(rule, rule);
+        if (own.length > 0 && !rule.noLoop) {
+            loops.push({ rules: [rule.name], via: { [rule.name]: own } });
+        }
+        for (const other of rules.slice(i + 1)) {
+            const forward = triggers(rule, other);
+            const backward = triggers(other, rule);
+            if (forward.length > 0 && backward.length > 0) {
+                loops.push({ rules: [rule.name, other.name], via: { [rule.name]: forward, [other.name]: backward } });
+            }
+        }
+    });
+    return loops;
+}
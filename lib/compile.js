@@ -1,21 +1,32 @@
 import {
     AlphaNode,
     BetaTestNode,
-    LogicalAllNode,
+    JoinNode,
     LogicalAnyNode,
     LogicalNotNode,
     LogicalExistsNode,
     AccumulatorNode,
-    NoFactNode
+    NoFactNode,
+    NO_KEY
 } from './nodes.js';
+import { Fact } from './fact.js';
+import { compileWhere, matchesConstraints, readPath } from './where.js';
+import { ReteNetwork, collectNodes, identity } from './network.js';
 
 function isBetaTestCondition(c) {
     return c.test && !c.type && !c.all && !c.any && !c.not && !c.exists && !c.accumulate;
 }
 
-// We'll store encountered types in a set, returned by compileConditions
-// Also track if the condition tree contains any negation
-export function compileConditions(conditions, inComposite = false, referencedTypes = new Set(), hasNegation = { value: false }) {
+/**
+ * What compiling a rule records: the alpha types it references. Nodes come
+ * from (and are shared through) `network`.
+ */
+export function compileContext(network = new ReteNetwork()) {
+    return { network, referencedTypes: new Set() };
+}
+
+// `refsResolved` is set by compileJoinChain, which compiles the `$ref`s of a pattern's `where` itself
+export function compileConditions(conditions, inComposite = false, context = compileContext(), refsResolved = false) {
     const hasType = typeof conditions.type === 'string';
     const hasComposite = Boolean(conditions.all || conditions.any || conditions.not || conditions.exists);
     const hasTest = typeof conditions.test === 'function';
@@ -29,12 +40,16 @@ export function compileConditions(conditions, inComposite = false, referencedTyp
     if (hasType && hasTest && hasComposite) {
         throw new Error("Invalid DSL: A condition cannot have 'type', 'test', and composite fields.");
     }
+    if (conditions.join) {
+        // Joins are compiled by the enclosing 'all' (see compileLogicalNode)
+        throw new Error("Invalid DSL: 'join' is only supported on a pattern inside 'all'.");
+    }
 
     if (hasTest && !hasType && !hasComposite) {
         // Beta-only condition
         if (!inComposite) {
             // Top-level beta test => wrap in NoFactNode
-            return new BetaTestNode(new NoFactNode(), conditions.test);
+            return applyBetaTests(noFactNode(context), [conditions.test], context);
         } else {
             // Embedded inside parent => return marker
             return { betaTest: conditions.test };
@@ -43,44 +58,104 @@ export function compileConditions(conditions, inComposite = false, referencedTyp
 
     // If composite
     if (conditions.all) {
-        return compileLogicalNode(conditions.all, 'all', referencedTypes, hasNegation);
+        return compileLogicalNode(conditions.all, 'all', context);
     } else if (conditions.any) {
-        return compileLogicalNode(conditions.any, 'any', referencedTypes, hasNegation);
-    } else if (conditions.not) {
-        hasNegation.value = true;
-        return new LogicalNotNode(compileConditions(conditions.not, true, referencedTypes, hasNegation));
-    } else if (conditions.exists) {
-        return new LogicalExistsNode(compileConditions(conditions.exists, true, referencedTypes, hasNegation));
+        return compileLogicalNode(conditions.any, 'any', context);
+    } else if (conditions.not || conditions.exists) {
+        return compileConditional(conditions, noFactNode(context), new Set(), context);
     }
 
     // Otherwise, it's an alpha or accumulator
     if (hasType) {
-        referencedTypes.add(conditions.type);
-        const { type, test, var: varName, accumulate } = conditions;
-        const alpha = new AlphaNode({ type, test, varName: accumulate ? undefined : varName });
-        if (accumulate) {
-            const { initial, reduce, retract, convert, test: accTest } = accumulate;
-            return new AccumulatorNode({
-                childNode: alpha,
-                varName,
-                initial,
-                reduce,
-                retract,
-                convert,
-                accTest
-            });
-        } else {
-            return alpha;
+        if (conditions.accumulate) {
+            return compileAccumulator(conditions, context, undefined, {}, refsResolved);
+        }
+        if (conditions.groupBy) {
+            throw new Error("Invalid DSL: 'groupBy' can only be used together with 'accumulate'.");
         }
+        context.referencedTypes.add(conditions.type);
+        const { type, test, where, var: varName } = conditions;
+        return alphaNode(context, { type, test, varName, constraints: compileAlphaWhere(where, type, refsResolved) });
     }
+    throw new Error("Invalid DSL: A condition needs 'type', 'test', 'all', 'any', 'not' or 'exists'.");
 }
 
-function compileLogicalNode(subConditions, operatorType, referencedTypes, hasNegation) {
+// Alpha nodes only depend on the facts, so they are shared wherever they are used
+function alphaNode(context, { type, test, varName, constraints }) {
+    return context.network.node(
+        ['Alpha', type, varName, test, constraints],
+        () => new AlphaNode({ type, test, varName, constraints })
+    );
+}
+
+function noFactNode(context) {
+    return context.network.node(['NoFact'], () => new NoFactNode());
+}
+
+/**
+ * The constraints of a `where` that only depend on the fact itself.
+ */
+function compileAlphaWhere(where, type, refsResolved) {
+    if (where === undefined) return [];
+    const constraints = compileWhere(where, type);
+    const ref = constraints.find(c => c.ref !== undefined);
+    if (ref && !refsResolved) {
+        throw unboundVariableError(type, ref.ref.split('.')[0]);
+    }
+    return constraints.filter(c => c.ref === undefined);
+}
+
+/**
+ * An accumulator aggregates the facts matching its pattern for every token
+ * coming from `left` (a single empty token when it stands alone). `keys`
+ * correlates those facts with the left token when the pattern has a `join`.
+ */
+function compileAccumulator(
+    conditions, context, left = noFactNode(context), keys = {}, refsResolved = false, shared = true
+) {
+    context.referencedTypes.add(conditions.type);
+    const { type, test, where, var: varName, accumulate, groupBy, groupVar } = conditions;
+    const { initial, reduce, retract, convert, test: accTest } = accumulate;
+    const { leftKey, rightKey, pairs = [] } = keys;
+    const childNode = alphaNode(context, { type, test, constraints: compileAlphaWhere(where, type, refsResolved) });
+    const key = shared
+        ? ['Accumulate', identity(left), identity(childNode), varName, accumulate, pairs, groupBy, groupVar]
+        : null;
+    return context.network.node(key, () => new AccumulatorNode({
+        childNode,
+        left,
+        varName,
+        initial,
+        reduce,
+        retract,
+        convert,
+        accTest,
+        leftKey,
+        rightKey,
+        groupKey: compileGroupKey(groupBy),
+        groupVar: groupVar || 'groupKey'
+    }));
+}
+
+function compileGroupKey(groupBy) {
+    if (groupBy === undefined) return undefined;
+    if (typeof groupBy === 'function') {
+        return token => groupBy(token.facts[0].data);
+    }
+    const path = String(groupBy).split('.');
+    return token => readPath(token.facts[0].data, path);
+}
+
+function compileLogicalNode(subConditions, operatorType, context) {
+    if (operatorType === 'all') {
+        return compileJoinChain(subConditions, context);
+    }
+
     const alphaAndLogicalNodes = [];
     const betaTests = [];
 
     for (const c of subConditions) {
-        const result = compileConditions(c, true, referencedTypes, hasNegation);
+        const result = compileConditions(c, true, context);
 
         if (result && result.betaTest) {
             betaTests.push(result.betaTest);
@@ -92,26 +167,270 @@ function compileLogicalNode(subConditions, operatorType, referencedTypes, hasNeg
     let combinedNode;
     if (alphaAndLogicalNodes.length === 0) {
         // only beta tests
-        combinedNode = new NoFactNode();
+        combinedNode = noFactNode(context);
     } else if (alphaAndLogicalNodes.length === 1) {
         combinedNode = alphaAndLogicalNodes[0];
     } else {
-        if (operatorType === 'all') {
-            combinedNode = new LogicalAllNode(alphaAndLogicalNodes);
+        combinedNode = context.network.node(
+            ['Any', ...alphaAndLogicalNodes.map(identity)],
+            () => new LogicalAnyNode(alphaAndLogicalNodes)
+        );
+    }
+
+    return applyBetaTests(combinedNode, betaTests, context);
+}
+
+/**
+ * Build a left-deep chain of binary joins, each with its own beta memories.
+ * A pattern with a `join` constraint (or `$ref` equalities in its `where`)
+ * gets a hashed JoinNode keyed on the variables bound by the patterns to its
+ * left, while accumulators, `not` and `exists` take the chain so far as their
+ * left input so they are evaluated per left token. Other `$ref` constraints
+ * are tested right after the join.
+ *
+ * `start` and `boundVariables` let a chain continue from an enclosing one
+ * (the body of a correlated `not`/`exists`). The nodes of such a chain are
+ * not shared, see compileConditional.
+ */
+function compileJoinChain(subConditions, context, start = null, boundVariables = new Set()) {
+    const shared = start === null;
+    const betaTests = [];
+    let combinedNode = start;
+
+    for (const c of subConditions) {
+        if (isBetaTestCondition(c) && !c.join) {
+            betaTests.push(c.test);
+            continue;
+        }
+
+        // A join belongs to the node built here, not to the pattern itself
+        const { join, ...pattern } = c;
+        if (join && typeof pattern.type !== 'string') {
+            throw new Error("Invalid DSL: 'join' requires a 'type' pattern.");
+        }
+        const refs = typeof pattern.type === 'string' && pattern.where !== undefined
+            ? compileWhere(pattern.where, pattern.type).filter(r => r.ref !== undefined)
+            : [];
+        const testedRefs = refs.filter(r => r.op !== '$eq');
+        const joinPairs = [
+            ...Object.entries(join || {}),
+            ...refs.filter(r => r.op === '$eq').map(r => [r.path, r.ref])
+        ];
+        const keys = joinPairs.length > 0 ? compileJoinKeys(pattern.type, joinPairs, boundVariables) : {};
+        for (const { ref } of testedRefs) {
+            checkBound(pattern.type, ref.split('.')[0], boundVariables);
+        }
+
+        if (pattern.accumulate && typeof pattern.type === 'string') {
+            if (testedRefs.length > 0) {
+                throw new Error(
+                    `Invalid DSL: The accumulator on type "${pattern.type}" can only use '$ref' for equality in 'where'.`
+                );
+            }
+            combinedNode = compileAccumulator(pattern, context, combinedNode || undefined, keys, true, shared);
+        } else if ((pattern.not || pattern.exists) && typeof pattern.type !== 'string') {
+            const left = combinedNode || noFactNode(context);
+            combinedNode = compileConditional(pattern, left, boundVariables, context, shared);
         } else {
-            combinedNode = new LogicalAnyNode(alphaAndLogicalNodes);
+            const node = compileConditions(pattern, true, context, true);
+            if (combinedNode) {
+                const left = combinedNode;
+                const key = shared ? ['Join', identity(left), identity(node), joinPairs] : null;
+                combinedNode = context.network.node(key, () => new JoinNode(left, node, keys));
+            } else {
+                combinedNode = node;
+            }
+            if (testedRefs.length > 0) {
+                // The pattern's fact is the last one of the joined token
+                const testFn = (facts, bindings) => matchesConstraints(facts[facts.length - 1].data, testedRefs, bindings);
+                const input = combinedNode;
+                const key = shared ? ['Test', identity(input), testedRefs] : null;
+                combinedNode = context.network.node(key, () => new BetaTestNode(input, testFn, testedRefs));
+            }
         }
+        declaredVariables(c, boundVariables);
+    }
+
+    return applyBetaTests(combinedNode || noFactNode(context), betaTests, context, shared);
+}
+
+/**
+ * A `not`/`exists` body is compiled as a continuation of the left chain, so
+ * its joins and beta tests can refer to variables bound before it. Variables
+ * bound inside the body do not escape it.
+ *
+ * The node must see a left token before the body does, so the body's nodes
+ * are created after it and only shared together with it.
+ */
+function compileConditional(conditions, left, boundVariables, context, shared = true) {
+    const body = conditions.not || conditions.exists;
+    const Node = conditions.not ? LogicalNotNode : LogicalExistsNode;
+    const node = context.network.node(shared ? [Node.name, identity(left), body] : null, () => new Node(left));
+    if (node.child) {
+        recordConditions(body, context);
+        return node;
+    }
+
+    const subConditions = body.all || [body];
+    node.setChild(compileJoinChain(subConditions, context, left, new Set(boundVariables)));
+    return node;
+}
+
+// What compiling conditions would record, for a shared body that isn't compiled again
+function recordConditions(condition, context) {
+    if (typeof condition.type === 'string') {
+        context.referencedTypes.add(condition.type);
+    }
+    for (const c of [...(condition.all || condition.any || []), condition.not, condition.exists]) {
+        if (c) recordConditions(c, context);
     }
+}
 
+function applyBetaTests(node, betaTests, context, shared = true) {
     for (const testFn of betaTests) {
-        combinedNode = new BetaTestNode(combinedNode, testFn);
+        const input = node;
+        const key = shared ? ['Test', identity(input), testFn] : null;
+        node = context.network.node(key, () => new BetaTestNode(input, testFn));
+    }
+    return node;
+}
+
+/**
+ * `pairs` are `[attribute, 'var.path']` entries, from `join` or from `$ref`
+ * equalities in `where`. They are returned along with the key functions to
+ * tell joins apart in the network.
+ */
+function compileJoinKeys(type, pairs, boundVariables) {
+    const attributePaths = pairs.map(([attr]) => attr.split('.'));
+    const references = pairs.map(([, ref]) => {
+        const [varName, ...path] = String(ref).split('.');
+        checkBound(type, varName, boundVariables);
+        return { varName, path };
+    });
+
+    return {
+        pairs,
+        leftKey: token => {
+            const values = [];
+            for (const { varName, path } of references) {
+                const bound = token.bindings[varName];
+                if (bound === undefined) return NO_KEY;
+                values.push(readPath(bound instanceof Fact ? bound.data : bound, path));
+            }
+            return joinKey(values);
+        },
+        rightKey: token => joinKey(attributePaths.map(path => readPath(token.facts[0].data, path)))
+    };
+}
+
+/**
+ * A compound key is a string that is the same for two lists of values exactly
+ * when their values are, compared like single keys (by Map, i.e. objects by
+ * identity), so joining on several attributes means the same as on one.
+ */
+function joinKey(values) {
+    return values.length === 1 ? values[0] : JSON.stringify(values.map(keyPart));
+}
+
+const symbolIds = new Map();
+
+function keyPart(value) {
+    switch (typeof value) {
+        case 'string': return `s${value}`;
+        case 'number': return `n${value}`; // -0 reads '0', like Map keys
+        case 'bigint': return `b${value}`;
+        case 'boolean': return `t${value}`;
+        case 'undefined': return 'u';
+        case 'symbol':
+            if (!symbolIds.has(value)) symbolIds.set(value, symbolIds.size);
+            return `y${symbolIds.get(value)}`;
+        default: return value === null ? 'l' : `o${identity(value)}`;
+    }
+}
+
+function checkBound(type, varName, boundVariables) {
+    if (!boundVariables.has(varName)) {
+        throw unboundVariableError(type, varName);
+    }
+}
+
+function unboundVariableError(type, varName) {
+    return new Error(
+        `Invalid DSL: The pattern on type "${type}" references variable "${varName}", ` +
+        "which is not bound by an earlier condition in the same 'all'."
+    );
+}
+
+// Only the variables every branch of an `any` binds are bound after it
+function declaredVariables(condition, variables = new Set()) {
+    if (condition.var && condition.type) {
+        variables.add(condition.var);
+    }
+    if (condition.accumulate && condition.groupBy) {
+        variables.add(condition.groupVar || 'groupKey');
+    }
+    if (condition.all) {
+        condition.all.forEach(c => declaredVariables(c, variables));
+    } else if (condition.any) {
+        const [first, ...others] = condition.any.map(c => declaredVariables(c));
+        for (const name of first) {
+            if (others.every(branch => branch.has(name))) variables.add(name);
+        }
+    }
+    return variables;
+}
+
+/**
+ * Connect the nodes of rules (given by their terminal nodes) to a
+ * WorkingMemoryIndexer. Nodes fed by nodes that are already connected (those
+ * shared with other rules) start from the tokens those nodes currently hold.
+ */
+export function initializeNodesWithWMI(rootNodes, wmi) {
+    wmi.notifyAfter(() => connectNodes(rootNodes, wmi));
+}
+
+function connectNodes(rootNodes, wmi) {
+    const nodes = new Set();
+    for (const rootNode of rootNodes) {
+        for (const node of collectNodes(rootNode)) {
+            if (wmi.connectNode(node)) nodes.add(node);
+        }
     }
 
-    return combinedNode;
+    // Seed alpha memories with the facts already in working memory first, so
+    // that `not` nodes don't emit matches they'd immediately retract.
+    for (const node of nodes) {
+        if (node instanceof AlphaNode) {
+            wmi.registerAlphaNode(node);
+        }
+    }
+
+    const connected = new Set();
+    for (const node of nodes) {
+        for (const input of node.inputs) {
+            if (!nodes.has(input)) connected.add(input);
+        }
+    }
+    for (const input of connected) {
+        for (const token of input.getPartialMatches(wmi)) {
+            // In successor order, so that a `not` sees a left token before its body
+            for (const { node, side } of input.successors) {
+                if (nodes.has(node)) node.assertToken(token, wmi, side);
+            }
+        }
+    }
+
+    for (const node of nodes) {
+        node.activate(wmi);
+    }
 }
 
-export function initializeNodesWithWMI(rootNode, wmi) {
-    if (rootNode.setWMI) {
-        rootNode.setWMI(wmi);
+/**
+ * Undo initializeNodesWithWMI for a rule that is removed: the nodes no other
+ * rule uses are detached and their memories dropped.
+ */
+export function releaseNodesFromWMI(rootNode, wmi) {
+    for (const node of collectNodes(rootNode)) {
+        wmi.disconnectNode(node);
     }
 }
@@ -0,0 +1,48 @@
+/**
+ * A minimal event emitter, so the engine doesn't depend on Node's `events`
+ * module. Listeners are called synchronously, in the order they were added.
+ */
+export class EventEmitter {
+    constructor() {
+        this.eventListeners = new Map(); // event -> array of listeners
+    }
+
+    on(event, listener) {
+        const listeners = this.eventListeners.get(event) || [];
+        this.eventListeners.set(event, [...listeners, listener]);
+        return this;
+    }
+
+    once(event, listener) {
+        const wrapper = payload => {
+            this.off(event, wrapper);
+            listener(payload);
+        };
+        wrapper.listener = listener;
+        return this.on(event, wrapper);
+    }
+
+    off(event, listener) {
+        const listeners = (this.eventListeners.get(event) || [])
+            .filter(l => l !== listener && l.listener !== listener);
+        if (listeners.length > 0) {
+            this.eventListeners.set(event, listeners);
+        } else {
+            this.eventListeners.delete(event);
+        }
+        return this;
+    }
+
+    hasListeners(event) {
+        return this.eventListeners.has(event);
+    }
+
+    emit(event, payload) {
+        const listeners = this.eventListeners.get(event);
+        if (!listeners) return false;
+        for (const listener of listeners) {
+            listener(payload);
+        }
+        return true;
+    }
+}
@@ -1,12 +1,19 @@
 export class Fact {
-    static idCounter = 0;
-
-    constructor(data) {
+    constructor(data, id) {
         if (!data.type) {
             throw new Error("Fact must have a 'type' property.");
         }
         this.data = data;
-        this.id = Fact.idCounter++; // unique ID per fact instance
+        this.id = id;              // unique ID per fact instance
         this.recency = 0;          // track order of insertion/updates
     }
+
+    /**
+     * A fact with the same id and recency, and a copy of the data.
+     */
+    copy() {
+        const copy = new Fact({ ...this.data }, this.id);
+        copy.recency = this.recency;
+        return copy;
+    }
 }
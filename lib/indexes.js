@@ -0,0 +1,156 @@
+import { readPath } from './where.js';
+
+/**
+ * Secondary indexes over the facts of one type. Given the constraints of a
+ * query or pattern (see where.js), an index returns the facts that may
+ * satisfy them, or null if it can't narrow them down.
+ */
+
+const RANGE_OPERATORS = ['$eq', '$gt', '$gte', '$lt', '$lte'];
+
+/**
+ * Hashes facts by the values of one or more attributes. Answers constraints
+ * that fix every indexed attribute with $eq, or the single indexed attribute
+ * with $in.
+ */
+export class HashIndex {
+    constructor(paths) {
+        this.paths = paths;
+        this.sorted = false;
+        this.buckets = new Map(); // key -> Set of facts
+        this.keys = new Map();    // fact -> key it was indexed under
+    }
+
+    add(fact) {
+        const key = this.keyOf(this.paths.map(path => readPath(fact.data, path.split('.'))));
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = new Set();
+            this.buckets.set(key, bucket);
+        }
+        bucket.add(fact);
+        this.keys.set(fact, key);
+    }
+
+    delete(fact) {
+        const key = this.keys.get(fact);
+        this.keys.delete(fact);
+        const bucket = this.buckets.get(key);
+        if (bucket && bucket.delete(fact) && bucket.size === 0) {
+            this.buckets.delete(key);
+        }
+    }
+
+    candidates(constraints) {
+        const values = [];
+        for (const path of this.paths) {
+            const constraint = constraints.find(c => c.path === path && c.op === '$eq');
+            if (!constraint) break;
+            values.push(constraint.value);
+        }
+        if (values.length === this.paths.length) {
+            return Array.from(this.buckets.get(this.keyOf(values)) || []);
+        }
+
+        const membership = this.paths.length === 1 &&
+            constraints.find(c => c.path === this.paths[0] && c.op === '$in' && Array.isArray(c.value));
+        if (!membership) return null;
+        const facts = new Set();
+        for (const value of membership.value) {
+            for (const fact of this.buckets.get(value) || []) {
+                facts.add(fact);
+            }
+        }
+        return Array.from(facts);
+    }
+
+    // Compound keys are compared by their JSON representation
+    keyOf(values) {
+        return values.length === 1 ? values[0] : JSON.stringify(values);
+    }
+}
+
+/**
+ * Keeps facts sorted by one attribute. Answers $eq, $gt, $gte, $lt and $lte
+ * on that attribute for numbers and strings (each kept in their own order).
+ */
+export class SortedIndex {
+    constructor(path) {
+        this.paths = [path];
+        this.sorted = true;
+        this.entries = { number: [], string: [] }; // sorted arrays of { value, fact }
+        this.values = new Map(); // fact -> value it was indexed under
+    }
+
+    add(fact) {
+        const value = readPath(fact.data, this.paths[0].split('.'));
+        const entries = this.entriesFor(value);
+        if (!entries) return;
+        entries.splice(upperBound(entries, value), 0, { value, fact });
+        this.values.set(fact, value);
+    }
+
+    delete(fact) {
+        if (!this.values.has(fact)) return;
+        const value = this.values.get(fact);
+        this.values.delete(fact);
+        const entries = this.entriesFor(value);
+        for (let i = lowerBound(entries, value); i < entries.length; i++) {
+            if (entries[i].fact === fact) {
+                entries.splice(i, 1);
+                return;
+            }
+        }
+    }
+
+    candidates(constraints) {
+        const own = constraints.filter(c =>
+            c.path === this.paths[0] && RANGE_OPERATORS.includes(c.op) && this.entriesFor(c.value)
+        );
+        if (own.length === 0) return null;
+
+        // Constraints on values of the other kind can't be answered here => left to the caller
+        const kind = typeof own[0].value;
+        const entries = this.entries[kind];
+        let from = 0;
+        let to = entries.length;
+        for (const { op, value } of own) {
+            if (typeof value !== kind) continue;
+            if (op === '$eq' || op === '$gte') from = Math.max(from, lowerBound(entries, value));
+            if (op === '$gt') from = Math.max(from, upperBound(entries, value));
+            if (op === '$eq' || op === '$lte') to = Math.min(to, upperBound(entries, value));
+            if (op === '$lt') to = Math.min(to, lowerBound(entries, value));
+        }
+        return entries.slice(from, Math.max(from, to)).map(entry => entry.fact);
+    }
+
+    entriesFor(value) {
+        if (typeof value === 'number' && !Number.isNaN(value)) return this.entries.number;
+        if (typeof value === 'string') return this.entries.string;
+        return null;
+    }
+}
+
+// First position whose value is >= `value`
+function lowerBound(entries, value) {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (entries[mid].value < value) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
+
+// First position whose value is > `value`
+function upperBound(entries, value) {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (entries[mid].value <= value) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
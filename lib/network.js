@@ -0,0 +1,130 @@
+/**
+ * The nodes compiled for the rules of an engine and its forks. Conditions
+ * that are structurally the same (equal declarative constraints, or the very
+ * same function) compile to the same node, so rules with a common prefix
+ * share its nodes and their memories instead of each matching the facts again.
+ *
+ * Nodes are reference counted by the rules using them, in every engine that
+ * shares the network: removing a rule only unlinks the nodes no rule needs.
+ * Each engine's working memory tracks which nodes its own rules use (see
+ * WorkingMemoryIndexer#connectNode).
+ */
+export class ReteNetwork {
+    constructor() {
+        this.nodesByKey = new Map();  // structural key -> node
+        this.keys = new Map();        // node -> structural key
+        this.refCounts = new Map();   // node -> number of rules using it
+        this.created = [];            // nodes created since the last retain()
+    }
+
+    /**
+     * Return the node registered under `key`, or register the one `create`
+     * returns. Nodes with a null key are never shared.
+     */
+    node(key, create) {
+        const structuralKey = key === null ? null : stableKey(key);
+        if (structuralKey !== null && this.nodesByKey.has(structuralKey)) {
+            return this.nodesByKey.get(structuralKey);
+        }
+        const node = create();
+        this.created.push(node);
+        if (structuralKey !== null) {
+            this.nodesByKey.set(structuralKey, node);
+            this.keys.set(node, structuralKey);
+        }
+        return node;
+    }
+
+    /**
+     * Count the nodes of a rule (given by its terminal node) as used by one
+     * more rule.
+     */
+    retain(rootNode) {
+        for (const node of collectNodes(rootNode)) {
+            this.refCounts.set(node, (this.refCounts.get(node) || 0) + 1);
+        }
+        this.discardCreated();
+    }
+
+    /**
+     * The opposite of retain(): the nodes no rule uses anymore are unlinked
+     * from the network.
+     */
+    release(rootNode) {
+        for (const node of collectNodes(rootNode)) {
+            const count = this.refCounts.get(node) - 1;
+            if (count > 0) {
+                this.refCounts.set(node, count);
+            } else {
+                this.refCounts.delete(node);
+                this.unlink(node);
+            }
+        }
+    }
+
+    /**
+     * Drop the nodes created for a rule that failed to compile.
+     */
+    discardCreated() {
+        for (const node of this.created) {
+            if (!this.refCounts.has(node)) this.unlink(node);
+        }
+        this.created = [];
+    }
+
+    unlink(node) {
+        for (const input of node.inputs) {
+            input.removeSuccessor(node);
+        }
+        const key = this.keys.get(node);
+        if (key !== undefined) {
+            this.nodesByKey.delete(key);
+            this.keys.delete(node);
+        }
+    }
+
+    /**
+     * Every node used by a rule.
+     */
+    nodes() {
+        return new Set(this.refCounts.keys());
+    }
+}
+
+export function collectNodes(rootNode, nodes = new Set()) {
+    if (nodes.has(rootNode)) return nodes;
+    nodes.add(rootNode);
+    for (const input of rootNode.inputs) {
+        collectNodes(input, nodes);
+    }
+    return nodes;
+}
+
+const identities = new WeakMap();
+let nextIdentity = 1;
+
+/**
+ * A number standing for an object (a node or a function) in structural keys,
+ * or for an object in compound join keys.
+ */
+export function identity(object) {
+    if (!identities.has(object)) {
+        identities.set(object, nextIdentity++);
+    }
+    return identities.get(object);
+}
+
+// JSON, except that values JSON can't tell apart are spelled out
+function stableKey(value) {
+    return JSON.stringify(value, function (key, json) {
+        const raw = this[key];
+        if (typeof raw === 'function') return { $function: identity(raw) };
+        if (raw instanceof RegExp) return { $regexp: String(raw) };
+        if (raw instanceof Date) return { $date: raw.getTime() };
+        if (typeof raw === 'bigint' || (typeof raw === 'number' && !Number.isFinite(raw))) {
+            return { [`$${typeof raw}`]: String(raw) };
+        }
+        if (raw === undefined && Array.isArray(this)) return { $undefined: true };
+        return json;
+    });
+}
@@ -1,69 +1,264 @@
-export class AlphaNode {
-    constructor({ type, test, varName }) {
+import { describeConstraints, matchesConstraints } from './where.js';
+
+/**
+ * Nodes form a push-based Rete network. Fact changes enter through AlphaNodes
+ * (fed by the WorkingMemoryIndexer) and flow downward as token assertions and
+ * retractions. A token is a partial match shaped like `{ facts, bindings }`.
+ *
+ * Nodes themselves are stateless: each one keeps its memory in the
+ * WorkingMemoryIndexer (see `wmi.getNodeMemory(node)`), so a node only ever
+ * re-joins the tokens affected by a change.
+ */
+
+// Returned by a join key function for a token that cannot match anything
+export const NO_KEY = Symbol('NO_KEY');
+
+// Links a derived token to the left token it extends
+const PARENT = Symbol('parent');
+
+class ReteNode {
+    constructor(inputs = []) {
+        this.inputs = inputs;      // upstream nodes (for traversal)
+        this.successors = [];      // [{ node, side }]
+        inputs.forEach((input, side) => input.addSuccessor(this, side));
+    }
+
+    addSuccessor(node, side) {
+        this.successors.push({ node, side });
+    }
+
+    removeSuccessor(node) {
+        this.successors = this.successors.filter(successor => successor.node !== node);
+    }
+
+    createMemory() {
+        return { tokens: new Set() };
+    }
+
+    /**
+     * How many tokens this node holds, and for filtering nodes, how many it
+     * considered and eliminated (see RulesEngine#explain).
+     */
+    explain(wmi) {
+        return { node: this.constructor.name, passed: wmi.getNodeMemory(this).tokens.size };
+    }
+
+    /**
+     * Called once the node's network is connected to a WorkingMemoryIndexer,
+     * after every alpha memory has been seeded.
+     */
+    activate(wmi) {
+        // no-op by default
+    }
+
+    // Successors can belong to rules of another engine sharing the network
+    propagateAssert(token, wmi) {
+        wmi.getNodeMemory(this).tokens.add(token);
+        for (const { node, side } of this.successors) {
+            if (wmi.connectedNodes.has(node)) node.assertToken(token, wmi, side);
+        }
+    }
+
+    propagateRetract(token, wmi) {
+        const memory = wmi.getNodeMemory(this);
+        if (!memory.tokens.delete(token)) return;
+        for (const { node, side } of this.successors) {
+            if (wmi.connectedNodes.has(node)) node.retractToken(token, wmi, side);
+        }
+    }
+
+    /**
+     * Return the partial matches currently held in this node's output memory.
+     */
+    getPartialMatches(wmi) {
+        return Array.from(wmi.getNodeMemory(this).tokens);
+    }
+}
+
+export class AlphaNode extends ReteNode {
+    constructor({ type, test, varName, constraints = [] }) {
+        super();
         this.type = type;
         this.test = test || (() => true);
         this.varName = varName;
-        this.matches = new Set();
-        this.wmi = null;
-        // Cache the partial matches result to skip re-checking
-        this._cachedPartialMatches = null;
+        this.constraints = constraints; // compiled from `where` (see where.js)
     }
 
-    setWMI(wmi) {
-        this.wmi = wmi;
+    matches(data) {
+        return matchesConstraints(data, this.constraints) && this.test(data);
     }
 
-    evaluate() {
-        // Clear in-memory matches for the new evaluation
-        this.matches.clear();
-        if (!this.wmi) throw new Error('WMI not set on AlphaNode.');
+    createMemory() {
+        return { tokens: new Set(), byFact: new Map() }; // fact -> token
+    }
 
-        // If the type is not dirty AND we have a cached partial match set,
-        // we can skip recomputing. Just restore from the cache.
-        if (!this.wmi.isTypeDirty(this.type) && this._cachedPartialMatches) {
-            // re-populate matches so that toPartialMatches() is correct if called
-            for (const pm of this._cachedPartialMatches) {
-                // each pm.facts is typically 1 fact in an alpha node
-                const fact = pm.facts[0];
-                if (fact) this.matches.add(fact);
-            }
-            return this.matches;
+    assertFact(fact, wmi) {
+        if (!this.matches(fact.data)) return;
+        const bindings = {};
+        if (this.varName) {
+            bindings[this.varName] = fact;
         }
+        const token = { facts: [fact], bindings };
+        wmi.getNodeMemory(this).byFact.set(fact, token);
+        this.propagateAssert(token, wmi);
+    }
+
+    retractFact(fact, wmi) {
+        const memory = wmi.getNodeMemory(this);
+        const token = memory.byFact.get(fact);
+        if (!token) return;
+        memory.byFact.delete(fact);
+        this.propagateRetract(token, wmi);
+    }
+
+    explain(wmi) {
+        const passed = wmi.getNodeMemory(this).tokens.size;
+        const candidates = wmi.getByType(this.type).length;
+        return {
+            node: 'AlphaNode',
+            type: this.type,
+            ...(this.constraints.length > 0 && { where: describeConstraints(this.constraints) }),
+            test: String(this.test),
+            candidates,
+            passed,
+            eliminated: candidates - passed
+        };
+    }
+}
+
+/**
+ * Joins a left input with a right input. Both sides keep a beta memory so that
+ * a new token on one side is only joined against the other side's memory.
+ *
+ * When `leftKey`/`rightKey` are given (equality joins), each memory is also
+ * hashed by key and a new token only meets the tokens sharing its key.
+ */
+export class JoinNode extends ReteNode {
+    constructor(left, right, { leftKey, rightKey } = {}) {
+        super([left, right]);
+        this.left = left;
+        this.right = right;
+        this.leftKey = leftKey;
+        this.rightKey = rightKey;
+        this.hashed = Boolean(leftKey && rightKey);
+    }
 
-        // Otherwise, do a full scan for this type
-        const candidates = this.wmi.getByType(this.type);
-        for (const fact of candidates) {
-            if (this.test(fact.data)) {
-                this.matches.add(fact);
+    createMemory() {
+        return {
+            tokens: new Set(),
+            left: new Map(),        // leftToken -> Map<rightToken, joinedToken>
+            right: new Map(),       // rightToken -> Map<leftToken, joinedToken>
+            leftIndex: new Map(),   // key -> Set<leftToken> (hashed joins only)
+            rightIndex: new Map(),  // key -> Set<rightToken> (hashed joins only)
+            keys: new Map()         // token -> key it was indexed under
+        };
+    }
+
+    assertToken(token, wmi, side) {
+        const memory = wmi.getNodeMemory(this);
+        const joined = new Map();
+        if (side === 0) {
+            memory.left.set(token, joined);
+            for (const rightToken of this.candidates(token, memory, side)) {
+                this.join(token, rightToken, joined, memory.right.get(rightToken), wmi);
+            }
+        } else {
+            memory.right.set(token, joined);
+            for (const leftToken of this.candidates(token, memory, side)) {
+                this.join(leftToken, token, memory.left.get(leftToken), joined, wmi);
             }
         }
-        return this.matches;
     }
 
-    toPartialMatches() {
-        const result = [];
-        for (const fact of this.matches) {
-            const bindings = {};
-            if (this.varName) {
-                bindings[this.varName] = fact;
-            }
-            result.push({ facts: [fact], bindings });
+    /**
+     * Index the token on its own side and return the opposite-side tokens it
+     * could join with.
+     */
+    candidates(token, memory, side) {
+        if (!this.hashed) {
+            return (side === 0 ? memory.right : memory.left).keys();
+        }
+
+        const [ownIndex, otherIndex] = side === 0
+            ? [memory.leftIndex, memory.rightIndex]
+            : [memory.rightIndex, memory.leftIndex];
+        const key = side === 0 ? this.leftKey(token) : this.rightKey(token);
+        if (key === NO_KEY) return [];
+
+        memory.keys.set(token, key);
+        let bucket = ownIndex.get(key);
+        if (!bucket) {
+            bucket = new Set();
+            ownIndex.set(key, bucket);
+        }
+        bucket.add(token);
+        return otherIndex.get(key) || [];
+    }
+
+    join(leftToken, rightToken, leftJoined, rightJoined, wmi) {
+        const bindings = unifyBindings(leftToken, rightToken);
+        if (!bindings) return;
+        const token = { facts: leftToken.facts.concat(rightToken.facts), bindings, [PARENT]: leftToken };
+        leftJoined.set(rightToken, token);
+        rightJoined.set(leftToken, token);
+        this.propagateAssert(token, wmi);
+    }
+
+    retractToken(token, wmi, side) {
+        const memory = wmi.getNodeMemory(this);
+        const [own, other, ownIndex] = side === 0
+            ? [memory.left, memory.right, memory.leftIndex]
+            : [memory.right, memory.left, memory.rightIndex];
+        const joined = own.get(token);
+        if (!joined) return;
+        own.delete(token);
+
+        if (memory.keys.has(token)) {
+            const key = memory.keys.get(token);
+            memory.keys.delete(token);
+            const bucket = ownIndex.get(key);
+            bucket.delete(token);
+            if (bucket.size === 0) ownIndex.delete(key);
+        }
+
+        for (const [otherToken, joinedToken] of joined) {
+            other.get(otherToken).delete(token);
+            this.propagateRetract(joinedToken, wmi);
         }
-        return result;
     }
 
-    evaluateAndGetPartialMatches() {
-        this.evaluate();
-        // Convert the matches to partial matches
-        const pm = this.toPartialMatches();
-        // Cache them so next cycle can skip re-check
-        this._cachedPartialMatches = pm;
-        return pm;
+    explain(wmi) {
+        const memory = wmi.getNodeMemory(this);
+        // Every left/right pair is a candidate; a hashed join rules out pairs with different keys
+        const candidates = memory.left.size * memory.right.size;
+        return {
+            node: 'JoinNode',
+            hashed: this.hashed,
+            leftTokens: memory.left.size,
+            rightTokens: memory.right.size,
+            candidates,
+            passed: memory.tokens.size,
+            eliminated: candidates - memory.tokens.size
+        };
     }
 }
 
-export class AccumulatorNode {
-    constructor({ childNode, varName, initial, reduce, retract, convert, accTest }) {
+/**
+ * Aggregates the facts of its child (right input) for every left token.
+ *
+ * Facts are partitioned by join key (when the accumulated pattern has a
+ * `join`, so each left token only sees its correlated facts) and then by
+ * `groupKey`, with one incremental state per group in `stateMap`. Every
+ * (left token, group) pair produces its own match. Results are deferred until
+ * the engine collects matches so a batch of changes re-emits each group once.
+ */
+export class AccumulatorNode extends ReteNode {
+    constructor({
+        childNode, left = new NoFactNode(), varName, initial, reduce, retract, convert, accTest,
+        leftKey, rightKey, groupKey, groupVar
+    }) {
+        super([left, childNode]);
+        this.left = left;
         this.childNode = childNode;
         this.varName = varName;
         this.initial = initial;
@@ -71,209 +266,394 @@ export class AccumulatorNode {
         this.retract = retract;
         this.convert = convert || (state => state);
         this.test = accTest || (() => true);
-
-        this.results = [];
-        this.wmi = null;
-
-        // State management for incremental accumulation
-        this.stateMap = new Map(); // bindingKey -> { accState, processedFacts, lastResult }
+        this.leftKey = leftKey;
+        this.rightKey = rightKey;
+        this.groupKey = groupKey;
+        this.groupVar = groupVar;
     }
 
-    setWMI(wmi) {
-        this.wmi = wmi;
-        if (this.childNode.setWMI) this.childNode.setWMI(wmi);
+    createMemory() {
+        return {
+            tokens: new Set(),
+            left: new Map(),              // leftToken -> { joinKey, outputs: Map<groupKey, token> }
+            right: new Map(),             // childToken -> { joinKey, groupKey }
+            partitions: new Map(),        // joinKey -> { leftTokens, stateMap, dirtyGroups }
+            dirtyPartitions: new Set(),
+            pendingLeft: new Set()        // left tokens that haven't been emitted yet
+        };
     }
 
-    evaluateAndGetPartialMatches() {
-        const childMatches = this.childNode.evaluateAndGetPartialMatches();
-
-        // For accumulators, even no matches (empty set) should be accumulated over
-        // This ensures collectAll() returns [] rather than preventing the rule from firing
-        const partialMatches = childMatches.length === 0
-            ? [{ facts: [], bindings: {} }]  // Treat as one match with zero facts
-            : childMatches;
-
-        const allFacts = partialMatches.reduce((acc, pm) => acc.concat(pm.facts), []);
-
-        // For now, use empty binding context (will be enhanced later for bound variables)
-        const bindingKey = '';
-
-        return this.evaluateIncremental(bindingKey, allFacts);
+    getPartition(memory, joinKey) {
+        let partition = memory.partitions.get(joinKey);
+        if (!partition) {
+            partition = {
+                joinKey,
+                leftTokens: new Set(),
+                stateMap: new Map(),      // groupKey -> incremental state
+                dirtyGroups: new Set()
+            };
+            memory.partitions.set(joinKey, partition);
+        }
+        return partition;
     }
 
-    evaluateIncremental(bindingKey, allFacts) {
-        // Get or create state for this binding context
-        let state = this.stateMap.get(bindingKey);
+    getState(partition, groupKey) {
+        let state = partition.stateMap.get(groupKey);
         if (!state) {
             state = {
                 accState: this.initial(),
-                processedFacts: new Map() // factId -> fact
+                childTokens: new Set(),
+                processedFacts: new Map(), // factId -> fact
+                needsRecompute: false,
+                result: null               // { value, facts, passes }, null when stale
             };
-            this.stateMap.set(bindingKey, state);
+            partition.stateMap.set(groupKey, state);
         }
+        return state;
+    }
 
-        const currentFactMap = new Map(allFacts.map(f => [f.id, f]));
+    assertToken(token, wmi, side) {
+        const memory = wmi.getNodeMemory(this);
+
+        if (side === 0) {
+            const joinKey = this.leftKey ? this.leftKey(token) : '';
+            memory.left.set(token, { joinKey, outputs: new Map() });
+            if (joinKey === NO_KEY) return;
+            this.getPartition(memory, joinKey).leftTokens.add(token);
+            memory.pendingLeft.add(token);
+            wmi.markPending(this);
+            return;
+        }
+
+        const joinKey = this.rightKey ? this.rightKey(token) : '';
+        const groupKey = this.groupKey ? this.groupKey(token) : '';
+        memory.right.set(token, { joinKey, groupKey });
+
+        const partition = this.getPartition(memory, joinKey);
+        const state = this.getState(partition, groupKey);
+        state.childTokens.add(token);
+        if (!state.needsRecompute) {
+            this.reduceToken(state, token);
+        }
+        this.markDirty(memory, partition, groupKey, state, wmi);
+    }
+
+    retractToken(token, wmi, side) {
+        const memory = wmi.getNodeMemory(this);
+
+        if (side === 0) {
+            const entry = memory.left.get(token);
+            if (!entry) return;
+            memory.left.delete(token);
+            memory.pendingLeft.delete(token);
+            for (const output of entry.outputs.values()) {
+                this.propagateRetract(output, wmi);
+            }
+            const partition = memory.partitions.get(entry.joinKey);
+            if (partition) {
+                partition.leftTokens.delete(token);
+                this.releasePartition(memory, partition);
+            }
+            return;
+        }
 
-        // Find facts to add and remove
-        const toAdd = allFacts.filter(f => !state.processedFacts.has(f.id));
-        const toRemove = [...state.processedFacts.entries()]
-            .filter(([id]) => !currentFactMap.has(id));
+        const entry = memory.right.get(token);
+        if (!entry) return;
+        memory.right.delete(token);
 
-        // Apply retract for removed facts (if retract function provided)
-        if (this.retract && toRemove.length > 0) {
-            for (const [id, fact] of toRemove) {
+        const partition = memory.partitions.get(entry.joinKey);
+        const state = partition.stateMap.get(entry.groupKey);
+        state.childTokens.delete(token);
+        if (this.retract) {
+            for (const fact of token.facts) {
+                if (!state.processedFacts.has(fact.id)) continue;
                 state.accState = this.retract(state.accState, fact);
-                state.processedFacts.delete(id);
+                state.processedFacts.delete(fact.id);
             }
-        } else if (!this.retract && toRemove.length > 0) {
+        } else {
             // If no retract function, must recompute from scratch
-            state.accState = this.initial();
-            state.processedFacts.clear();
-            toAdd.push(...allFacts);
+            state.needsRecompute = true;
         }
+        this.markDirty(memory, partition, entry.groupKey, state, wmi);
+    }
 
-        // Apply reduce for new facts
-        for (const fact of toAdd) {
+    reduceToken(state, token) {
+        for (const fact of token.facts) {
+            if (state.processedFacts.has(fact.id)) continue;
             state.accState = this.reduce(state.accState, fact);
             state.processedFacts.set(fact.id, fact);
         }
+    }
 
-        // Convert and test
-        const result = this.convert(state.accState);
+    markDirty(memory, partition, groupKey, state, wmi) {
+        state.result = null;
+        partition.dirtyGroups.add(groupKey);
+        memory.dirtyPartitions.add(partition);
+        wmi.markPending(this);
+    }
 
-        if (this.test(result)) {
-            const bindings = {};
-            if (this.varName) {
-                bindings[this.varName] = result;  // Bind the aggregated value
+    /**
+     * Re-emit the results of every group that changed, and the results of
+     * every group for left tokens that arrived since the last flush.
+     */
+    flush(wmi) {
+        const memory = wmi.getNodeMemory(this);
+
+        for (const partition of memory.dirtyPartitions) {
+            for (const groupKey of partition.dirtyGroups) {
+                for (const leftToken of partition.leftTokens) {
+                    this.retractOutput(memory.left.get(leftToken), groupKey, wmi);
+                }
+
+                const state = partition.stateMap.get(groupKey);
+                if (this.groupKey && state.childTokens.size === 0) {
+                    // A group only exists while it has facts
+                    partition.stateMap.delete(groupKey);
+                    continue;
+                }
+                for (const leftToken of partition.leftTokens) {
+                    if (!memory.pendingLeft.has(leftToken)) {
+                        this.emit(leftToken, memory.left.get(leftToken), groupKey, state, wmi);
+                    }
+                }
             }
-            this.results = [{
-                facts: allFacts,
-                bindings
-            }];
-        } else {
-            this.results = [];
+            partition.dirtyGroups.clear();
+            this.releasePartition(memory, partition);
         }
-
-        return this.results;
+        memory.dirtyPartitions.clear();
+
+        for (const leftToken of memory.pendingLeft) {
+            const entry = memory.left.get(leftToken);
+            const partition = memory.partitions.get(entry.joinKey);
+            if (!this.groupKey) {
+                // Even an empty set should be accumulated over, so collectAll() yields []
+                this.getState(partition, '');
+            }
+            for (const [groupKey, state] of partition.stateMap) {
+                this.emit(leftToken, entry, groupKey, state, wmi);
+            }
+        }
+        memory.pendingLeft.clear();
     }
 
-    // Clear state (useful for engine reset)
-    clearState() {
-        this.stateMap.clear();
-    }
-}
+    emit(leftToken, entry, groupKey, state, wmi) {
+        if (!state.result) {
+            if (state.needsRecompute) {
+                state.accState = this.initial();
+                state.processedFacts.clear();
+                state.needsRecompute = false;
+                for (const token of state.childTokens) {
+                    this.reduceToken(state, token);
+                }
+            }
+            // Convert and test
+            const value = this.convert(state.accState);
+            state.result = {
+                value,
+                facts: Array.from(state.processedFacts.values()),
+                passes: this.test(value)
+            };
+        }
+        if (!state.result.passes) return;
 
-export class LogicalAllNode {
-    constructor(children) {
-        this.children = children;
-        this.results = [];
-        this.wmi = null;
+        const bindings = { ...leftToken.bindings };
+        if (this.varName) {
+            bindings[this.varName] = state.result.value;  // Bind the aggregated value
+        }
+        if (this.groupKey) {
+            bindings[this.groupVar] = groupKey;
+        }
+        const output = { facts: leftToken.facts.concat(state.result.facts), bindings, [PARENT]: leftToken };
+        entry.outputs.set(groupKey, output);
+        this.propagateAssert(output, wmi);
     }
 
-    setWMI(wmi) {
-        this.wmi = wmi;
-        this.children.forEach(c => c.setWMI && c.setWMI(wmi));
+    // Drop partitions that no longer hold any left tokens or facts
+    releasePartition(memory, partition) {
+        if (partition.leftTokens.size > 0) return;
+        for (const state of partition.stateMap.values()) {
+            if (state.childTokens.size > 0) return;
+        }
+        if (memory.partitions.get(partition.joinKey) === partition) {
+            memory.partitions.delete(partition.joinKey);
+        }
     }
 
-    evaluateAndGetPartialMatches() {
-        const childMatchesArrays = this.children.map(c => c.evaluateAndGetPartialMatches());
-        if (childMatchesArrays.some(m => m.length === 0)) {
-            this.results = [];
-            return this.results;
-        }
+    retractOutput(entry, groupKey, wmi) {
+        const output = entry.outputs.get(groupKey);
+        if (!output) return;
+        entry.outputs.delete(groupKey);
+        this.propagateRetract(output, wmi);
+    }
 
-        let combination = childMatchesArrays[0];
-        for (let i = 1; i < childMatchesArrays.length; i++) {
-            combination = joinPartialMatches(combination, childMatchesArrays[i]);
-            if (combination.length === 0) break;
+    explain(wmi) {
+        const memory = wmi.getNodeMemory(this);
+        // One result per (left token, group) pair; the ones failing `test` are eliminated
+        let candidates = 0;
+        for (const partition of memory.partitions.values()) {
+            candidates += partition.leftTokens.size * partition.stateMap.size;
         }
+        return {
+            node: 'AccumulatorNode',
+            test: String(this.test),
+            facts: memory.right.size,
+            candidates,
+            passed: memory.tokens.size,
+            eliminated: candidates - memory.tokens.size
+        };
+    }
 
-        this.results = combination;
-        return this.results;
+    // Clear state (useful for engine reset)
+    clearState(wmi) {
+        wmi.getNodeMemory(this).partitions.clear();
     }
 }
 
-export class LogicalAnyNode {
+export class LogicalAnyNode extends ReteNode {
     constructor(children) {
+        super(children);
         this.children = children;
-        this.results = [];
-        this.wmi = null;
     }
 
-    setWMI(wmi) {
-        this.wmi = wmi;
-        this.children.forEach(c => c.setWMI && c.setWMI(wmi));
+    createMemory() {
+        return { tokens: new Set(), bySide: this.children.map(() => new Map()) };
     }
 
-    evaluateAndGetPartialMatches() {
-        let unionResults = [];
-        for (const c of this.children) {
-            const res = c.evaluateAndGetPartialMatches();
-            unionResults = unionResults.concat(res);
-        }
-        this.results = unionResults;
-        return this.results;
+    assertToken(token, wmi, side) {
+        // Wrap so that the same token arriving through two branches stays distinct
+        const unionToken = { facts: token.facts, bindings: token.bindings, [PARENT]: token };
+        wmi.getNodeMemory(this).bySide[side].set(token, unionToken);
+        this.propagateAssert(unionToken, wmi);
+    }
+
+    retractToken(token, wmi, side) {
+        const bySide = wmi.getNodeMemory(this).bySide[side];
+        const unionToken = bySide.get(token);
+        if (!unionToken) return;
+        bySide.delete(token);
+        this.propagateRetract(unionToken, wmi);
     }
 }
 
-export class LogicalNotNode {
-    constructor(child) {
+/**
+ * Base for `not` and `exists`. The child is a sub-network built on top of the
+ * left input, so its matches extend a left token and can use that token's
+ * bindings. Each left token passes through depending on how many child
+ * matches descend from it.
+ *
+ * The child is attached after construction so that this node sees a left
+ * token before any child match derived from it.
+ */
+class ConditionalNode extends ReteNode {
+    constructor(left = new NoFactNode()) {
+        super([left]);
+        this.left = left;
+        this.child = null;
+    }
+
+    setChild(child) {
         this.child = child;
-        this.results = [];
-        this.wmi = null;
+        this.inputs.push(child);
+        child.addSuccessor(this, 1);
     }
 
-    setWMI(wmi) {
-        this.wmi = wmi;
-        if (this.child.setWMI) this.child.setWMI(wmi);
+    createMemory() {
+        return {
+            tokens: new Set(),
+            left: new Map(),        // leftToken -> number of child matches
+            right: new Map(),       // childToken -> leftToken it descends from
+            pendingLeft: new Set()  // left tokens not yet passed or blocked
+        };
     }
 
-    evaluateAndGetPartialMatches() {
-        const childMatches = this.child.evaluateAndGetPartialMatches();
-        if (childMatches.length === 0) {
-            this.results = [{ facts: [], bindings: {} }];
-        } else {
-            this.results = [];
+    assertToken(token, wmi, side) {
+        const memory = wmi.getNodeMemory(this);
+        if (side === 0) {
+            // Decided at flush time, once the child has seen the token too
+            memory.left.set(token, 0);
+            memory.pendingLeft.add(token);
+            wmi.markPending(this);
+            return;
         }
-        return this.results;
+
+        const leftToken = this.findLeftToken(token, memory);
+        if (!leftToken) return;
+        memory.right.set(token, leftToken);
+        this.updateCount(leftToken, 1, memory, wmi);
     }
-}
 
-export class LogicalExistsNode {
-    constructor(child) {
-        this.child = child;
-        this.results = [];
-        this.wmi = null;
+    retractToken(token, wmi, side) {
+        const memory = wmi.getNodeMemory(this);
+        if (side === 0) {
+            if (!memory.left.delete(token)) return;
+            memory.pendingLeft.delete(token);
+            this.propagateRetract(token, wmi);
+            return;
+        }
+
+        const leftToken = memory.right.get(token);
+        if (!leftToken) return;
+        memory.right.delete(token);
+        if (memory.left.has(leftToken)) {
+            this.updateCount(leftToken, -1, memory, wmi);
+        }
     }
 
-    setWMI(wmi) {
-        this.wmi = wmi;
-        if (this.child.setWMI) this.child.setWMI(wmi);
+    findLeftToken(token, memory) {
+        for (let t = token; t; t = t[PARENT]) {
+            if (memory.left.has(t)) return t;
+        }
+        return null;
     }
 
-    evaluateAndGetPartialMatches() {
-        const childMatches = this.child.evaluateAndGetPartialMatches();
-        if (childMatches.length > 0) {
-            this.results = [{ facts: [], bindings: {} }];
+    updateCount(leftToken, delta, memory, wmi) {
+        const before = memory.left.get(leftToken);
+        const after = before + delta;
+        memory.left.set(leftToken, after);
+        if (memory.pendingLeft.has(leftToken)) return;
+
+        const passes = this.passes(after);
+        if (passes === this.passes(before)) return;
+        if (passes) {
+            this.propagateAssert(leftToken, wmi);
         } else {
-            this.results = [];
+            this.propagateRetract(leftToken, wmi);
         }
-        return this.results;
     }
-}
 
-function joinPartialMatches(leftMatches, rightMatches) {
-    const result = [];
-    for (const l of leftMatches) {
-        for (const r of rightMatches) {
-            const unified = unifyBindings(l, r);
-            if (unified) {
-                const facts = l.facts.concat(r.facts);
-                result.push({ facts, bindings: unified });
+    explain(wmi) {
+        const memory = wmi.getNodeMemory(this);
+        const candidates = memory.left.size;
+        return {
+            node: this.constructor.name,
+            candidates,
+            bodyMatches: memory.right.size,
+            passed: memory.tokens.size,
+            eliminated: candidates - memory.tokens.size
+        };
+    }
+
+    flush(wmi) {
+        const memory = wmi.getNodeMemory(this);
+        for (const leftToken of memory.pendingLeft) {
+            if (this.passes(memory.left.get(leftToken))) {
+                this.propagateAssert(leftToken, wmi);
             }
         }
+        memory.pendingLeft.clear();
+    }
+}
+
+export class LogicalNotNode extends ConditionalNode {
+    passes(matchCount) {
+        return matchCount === 0;
+    }
+}
+
+export class LogicalExistsNode extends ConditionalNode {
+    passes(matchCount) {
+        return matchCount > 0;
     }
-    return result;
 }
 
 function unifyBindings(pm1, pm2) {
@@ -290,33 +670,71 @@ function unifyBindings(pm1, pm2) {
     return unified;
 }
 
-export class BetaTestNode {
-    constructor(childNode, testFn) {
+export class BetaTestNode extends ReteNode {
+    /**
+     * `constraints` describes `testFn` when it was compiled from the `where`
+     * references of a pattern.
+     */
+    constructor(childNode, testFn, constraints) {
+        super([childNode]);
         this.childNode = childNode;
         this.testFn = testFn;
-        this.wmi = null;
+        this.constraints = constraints;
+    }
+
+    assertToken(token, wmi) {
+        if (this.testFn(token.facts, token.bindings)) {
+            this.propagateAssert(token, wmi);
+        }
     }
 
-    setWMI(wmi) {
-        this.wmi = wmi;
-        if (this.childNode.setWMI) this.childNode.setWMI(wmi);
+    retractToken(token, wmi) {
+        this.propagateRetract(token, wmi);
     }
 
-    evaluateAndGetPartialMatches() {
-        const childMatches = this.childNode.evaluateAndGetPartialMatches();
-        return childMatches.filter(pm => {
-            return this.testFn(pm.facts, pm.bindings);
-        });
+    explain(wmi) {
+        const passed = wmi.getNodeMemory(this).tokens.size;
+        const candidates = wmi.getNodeMemory(this.childNode).tokens.size;
+        const test = this.constraints ? { where: describeConstraints(this.constraints) } : { test: String(this.testFn) };
+        return { node: 'BetaTestNode', ...test, candidates, passed, eliminated: candidates - passed };
     }
 }
 
-export class NoFactNode {
-  setWMI(wmi) {
-    // no-op
-  }
+export class NoFactNode extends ReteNode {
+    activate(wmi) {
+        // Always emit a single default match
+        this.propagateAssert({ facts: [], bindings: {} }, wmi);
+    }
+}
 
-  evaluateAndGetPartialMatches() {
-    // Always return a single default match
-    return [{ facts: [], bindings: {} }];
-  }
+/**
+ * End of a rule's network: its memory holds the rule's current matches.
+ */
+export class TerminalNode extends ReteNode {
+    constructor(rootNode) {
+        super([rootNode]);
+        this.rootNode = rootNode;
+        this.rule = null; // set by the engine, which reports match changes per rule
+    }
+
+    createMemory() {
+        return { tokens: new Set(), byToken: new Map() }; // token -> match
+    }
+
+    assertToken(token, wmi) {
+        // Rules sharing their conditions get the same tokens, but matches of their own
+        const match = { facts: token.facts, bindings: token.bindings, [PARENT]: token };
+        wmi.getNodeMemory(this).byToken.set(token, match);
+        this.propagateAssert(match, wmi);
+        wmi.matchAsserted(this, match);
+    }
+
+    retractToken(token, wmi) {
+        const memory = wmi.getNodeMemory(this);
+        const match = memory.byToken.get(token);
+        if (!match) return;
+        memory.byToken.delete(token);
+        this.propagateRetract(match, wmi);
+        wmi.matchRetracted(this, match);
+    }
 }
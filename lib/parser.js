@@ -0,0 +1,607 @@
+import { Fact } from './fact.js';
+import { readPath } from './where.js';
+
+/**
+ * A textual rule language that compiles to the rule definitions addRule() takes:
+ *
+ *   rule "AdultBirthday"
+ *       salience 10
+ *   when
+ *       p: Person(age >= 18)
+ *       e: Event(category == "Birthday", personName == p.name)
+ *   then
+ *       insert Greeting(to: p.name, message: "Happy birthday!")
+ *   end
+ *
+ * Patterns become `where` constraints (a reference to a variable becomes a
+ * `$ref`), so the conditions are the same plain data the object DSL uses.
+ */
+
+const COMPARISONS = { '==': '$eq', '!=': '$ne', '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte' };
+const PUNCTUATION = ['==', '!=', '>=', '<=', '>', '<', '(', ')', ',', ':', ';', '.', '+', '-', '*', '/'];
+const HYPHENATED_WORDS = ['agenda-group', 'activation-group', 'no-loop', 'lock-on-active'];
+const STATEMENT_WORDS = ['insert', 'insertLogical', 'modify', 'retract', 'halt'];
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', "'": "'", '\\': '\\' };
+
+/**
+ * Parse `source` into a list of rule definitions. `functions` are the
+ * functions an action may call by name, e.g. `notify(p.name)`.
+ */
+export function parseRules(source, { functions = {} } = {}) {
+    return new Parser(String(source), functions).parseRules();
+}
+
+class Parser {
+    constructor(source, functions) {
+        this.tokens = tokenize(source);
+        this.pos = 0;
+        this.functions = functions;
+    }
+
+    parseRules() {
+        const rules = [];
+        const names = new Set();
+        while (this.peek().type !== 'eof') {
+            this.expectWord('rule');
+            const nameToken = this.peek();
+            const rule = this.parseRule();
+            if (names.has(rule.name)) {
+                throw syntaxError(nameToken, `Rule "${rule.name}" is defined more than once.`);
+            }
+            names.add(rule.name);
+            rules.push(rule);
+        }
+        return rules;
+    }
+
+    parseRule() {
+        const nameToken = this.next();
+        if (nameToken.type !== 'string' && nameToken.type !== 'word') {
+            throw unexpected(nameToken, 'a rule name');
+        }
+        const rule = { name: nameToken.value };
+        this.parseAttributes(rule);
+
+        this.expectWord('when');
+        const bound = new Map(); // variable -> type of the fact it is bound to
+        const conditions = this.parseConditionList(() => this.atWord('then'), bound);
+        this.expectWord('then');
+
+        const statements = [];
+        const effects = { produces: new Set(), modifies: new Set() };
+        while (!this.atWord('end')) {
+            statements.push(this.parseStatement(bound, effects));
+            this.acceptPunct(';');
+        }
+        this.expectWord('end');
+
+        rule.conditions = conditions.length === 1 ? conditions[0] : { all: conditions };
+        rule.action = (facts, engine, bindings) => runStatements(statements, 0, engine, bindings);
+        rule.produces = Array.from(effects.produces);
+        rule.modifies = Array.from(effects.modifies);
+        return rule;
+    }
+
+    parseAttributes(rule) {
+        const seen = new Set();
+        while (!this.atWord('when')) {
+            const token = this.expect('word', '"when" or a rule attribute');
+            if (seen.has(token.value)) {
+                throw syntaxError(token, `Duplicate rule attribute "${token.value}".`);
+            }
+            seen.add(token.value);
+
+            switch (token.value) {
+                case 'salience':
+                    rule.salience = this.parseNumber();
+                    break;
+                case 'agenda-group':
+                    rule.agendaGroup = this.expect('string', 'an agenda group name').value;
+                    break;
+                case 'activation-group':
+                    rule.activationGroup = this.expect('string', 'an activation group name').value;
+                    break;
+                case 'no-loop':
+                    rule.noLoop = this.parseOptionalBoolean();
+                    break;
+                case 'lock-on-active':
+                    rule.lockOnActive = this.parseOptionalBoolean();
+                    break;
+                default:
+                    throw unexpected(token, '"when" or a rule attribute');
+            }
+        }
+    }
+
+    /**
+     * Conditions listed one after the other must all hold; `and` between
+     * them is optional.
+     */
+    parseConditionList(atEnd, bound) {
+        const conditions = [];
+        while (!atEnd()) {
+            if (this.peek().type === 'eof') {
+                throw unexpected(this.peek(), 'a condition');
+            }
+            conditions.push(this.parseOr(bound));
+            this.acceptWord('and');
+        }
+        if (conditions.length === 0) {
+            throw unexpected(this.peek(), 'a condition');
+        }
+        return conditions;
+    }
+
+    // Each branch binds variables of its own; only those every branch binds
+    // (to the same type) are bound after the `or`
+    parseOr(bound) {
+        const scopes = [new Map(bound)];
+        const branches = [this.parseUnary(scopes[0])];
+        while (this.acceptWord('or')) {
+            scopes.push(new Map(bound));
+            branches.push(this.parseUnary(scopes[scopes.length - 1]));
+        }
+        for (const [name, type] of scopes[0]) {
+            if (!bound.has(name) && scopes.every(scope => scope.get(name) === type)) {
+                bound.set(name, type);
+            }
+        }
+        return branches.length === 1 ? branches[0] : { any: branches };
+    }
+
+    parseUnary(bound) {
+        // Variables bound inside `not` and `exists` don't escape them
+        if (this.acceptWord('not')) {
+            return { not: this.parseUnary(new Map(bound)) };
+        }
+        if (this.acceptWord('exists')) {
+            return { exists: this.parseUnary(new Map(bound)) };
+        }
+        if (this.acceptPunct('(')) {
+            const conditions = this.parseConditionList(() => this.atPunct(')'), bound);
+            this.expectPunct(')');
+            return conditions.length === 1 ? conditions[0] : { all: conditions };
+        }
+        return this.parsePattern(bound);
+    }
+
+    // [var:] Type(constraint, ...)
+    parsePattern(bound) {
+        let varToken = null;
+        let typeToken = this.expect('word', 'a condition');
+        if (this.acceptPunct(':')) {
+            varToken = typeToken;
+            typeToken = this.expect('word', 'a fact type');
+            if (bound.has(varToken.value)) {
+                throw syntaxError(varToken, `Variable "${varToken.value}" is already bound.`);
+            }
+        }
+
+        this.expectPunct('(');
+        const where = {};
+        if (!this.atPunct(')')) {
+            do {
+                this.parseConstraint(where, bound);
+            } while (this.acceptPunct(','));
+        }
+        this.expectPunct(')');
+
+        const condition = {};
+        if (varToken) {
+            condition.var = varToken.value;
+            bound.set(varToken.value, typeToken.value);
+        }
+        condition.type = typeToken.value;
+        if (Object.keys(where).length > 0) {
+            condition.where = simplifyWhere(where);
+        }
+        return condition;
+    }
+
+    // path op value, where path may be dotted and op is a comparison, [not] in or matches
+    parseConstraint(where, bound) {
+        const pathToken = this.peek();
+        const path = this.parsePath('an attribute').join('.');
+        const opToken = this.next();
+
+        let op, value;
+        if (opToken.type === 'punct' && COMPARISONS[opToken.value]) {
+            op = COMPARISONS[opToken.value];
+            value = this.parseConditionValue(bound);
+        } else if (opToken.type === 'word' && opToken.value === 'in') {
+            op = '$in';
+            value = this.parseList();
+        } else if (opToken.type === 'word' && opToken.value === 'not') {
+            this.expectWord('in');
+            op = '$nin';
+            value = this.parseList();
+        } else if (opToken.type === 'word' && opToken.value === 'matches') {
+            op = '$regex';
+            value = this.expect('string', 'a regular expression').value;
+        } else {
+            throw unexpected(opToken, `an operator after "${path}"`);
+        }
+
+        const operators = where[path] || (where[path] = {});
+        if (op in operators) {
+            throw syntaxError(pathToken, `Duplicate "${opToken.value}" constraint on "${path}".`);
+        }
+        operators[op] = value;
+    }
+
+    // A literal, or `var.path` for an attribute of a bound variable
+    parseConditionValue(bound) {
+        const token = this.peek();
+        if (token.type === 'word' && !isLiteralWord(token.value)) {
+            const path = this.parsePath('a value');
+            if (path.length === 1) {
+                throw syntaxError(token, `Expected a literal or an attribute like "${token.value}.name" but found "${token.value}".`);
+            }
+            if (!bound.has(path[0])) {
+                throw syntaxError(token, `Unknown variable "${path[0]}".`);
+            }
+            return { $ref: path.join('.') };
+        }
+        return this.parseLiteral();
+    }
+
+    parseList() {
+        this.expectPunct('(');
+        const values = [];
+        if (!this.atPunct(')')) {
+            do {
+                values.push(this.parseLiteral());
+            } while (this.acceptPunct(','));
+        }
+        this.expectPunct(')');
+        return values;
+    }
+
+    parseLiteral() {
+        const token = this.peek();
+        if (token.type === 'string') return this.next().value;
+        if (token.type === 'number' || (token.type === 'punct' && token.value === '-')) return this.parseNumber();
+        if (token.type === 'word' && isLiteralWord(token.value)) {
+            this.next();
+            return { true: true, false: false, null: null }[token.value];
+        }
+        throw unexpected(token, 'a value');
+    }
+
+    parseNumber() {
+        const negative = this.acceptPunct('-');
+        const value = this.expect('number', 'a number').value;
+        return negative ? -value : value;
+    }
+
+    parseOptionalBoolean() {
+        const token = this.peek();
+        if (token.type === 'word' && (token.value === 'true' || token.value === 'false')) {
+            this.next();
+            return token.value === 'true';
+        }
+        return true;
+    }
+
+    parsePath(expected) {
+        const path = [this.expect('word', expected).value];
+        while (this.acceptPunct('.')) {
+            path.push(this.expect('word', 'an attribute').value);
+        }
+        return path;
+    }
+
+    /**
+     * Statements compile to functions of (engine, bindings):
+     *   insert Type(attr: expr, ...)         insertLogical Type(attr: expr, ...)
+     *   modify var(attr: expr, ...)          retract var
+     *   halt                                 fn(expr, ...)
+     * The types they insert, update or retract are added to `effects`.
+     */
+    parseStatement(bound, effects) {
+        const token = this.expect('word', 'a statement or "end"');
+        if (!STATEMENT_WORDS.includes(token.value)) {
+            const fn = this.functions[token.value];
+            if (typeof fn !== 'function') {
+                throw syntaxError(token, `Unknown function "${token.value}".`);
+            }
+            const args = this.parseArguments(bound);
+            return (engine, bindings) => fn(...args.map(arg => arg(bindings)));
+        }
+
+        switch (token.value) {
+            case 'insert':
+            case 'insertLogical': {
+                const type = this.expect('word', 'a fact type').value;
+                const fields = this.parseFields(bound);
+                effects.produces.add(type);
+                const method = token.value === 'insert' ? 'addFact' : 'insertLogical';
+                return (engine, bindings) => engine[method]({ type, ...fields(bindings) });
+            }
+            case 'modify': {
+                const fact = this.parseVariable(bound);
+                const fields = this.parseFields(bound);
+                effects.modifies.add(bound.get(fact));
+                return (engine, bindings) => engine.updateFact(bindings[fact].id, fields(bindings));
+            }
+            case 'retract': {
+                const fact = this.parseVariable(bound);
+                effects.modifies.add(bound.get(fact));
+                return (engine, bindings) => engine.removeFact(bindings[fact].id);
+            }
+            default:
+                return engine => engine.halt();
+        }
+    }
+
+    parseVariable(bound) {
+        const token = this.expect('word', 'a variable');
+        if (!bound.has(token.value)) {
+            throw syntaxError(token, `Unknown variable "${token.value}".`);
+        }
+        return token.value;
+    }
+
+    parseFields(bound) {
+        this.expectPunct('(');
+        const fields = [];
+        if (!this.atPunct(')')) {
+            do {
+                const token = this.expect('word', 'an attribute');
+                if (fields.some(([name]) => name === token.value)) {
+                    throw syntaxError(token, `Duplicate attribute "${token.value}".`);
+                }
+                this.expectPunct(':');
+                fields.push([token.value, this.parseExpression(bound)]);
+            } while (this.acceptPunct(','));
+        }
+        this.expectPunct(')');
+        return bindings => Object.fromEntries(fields.map(([name, value]) => [name, value(bindings)]));
+    }
+
+    parseArguments(bound) {
+        this.expectPunct('(');
+        const args = [];
+        if (!this.atPunct(')')) {
+            do {
+                args.push(this.parseExpression(bound));
+            } while (this.acceptPunct(','));
+        }
+        this.expectPunct(')');
+        return args;
+    }
+
+    // Expressions compile to functions of the bindings
+    parseExpression(bound) {
+        let left = this.parseTerm(bound);
+        for (let op; (op = this.acceptPunct('+') || this.acceptPunct('-'));) {
+            left = arithmetic(op.value, left, this.parseTerm(bound));
+        }
+        return left;
+    }
+
+    parseTerm(bound) {
+        let left = this.parseFactor(bound);
+        for (let op; (op = this.acceptPunct('*') || this.acceptPunct('/'));) {
+            left = arithmetic(op.value, left, this.parseFactor(bound));
+        }
+        return left;
+    }
+
+    parseFactor(bound) {
+        if (this.acceptPunct('(')) {
+            const value = this.parseExpression(bound);
+            this.expectPunct(')');
+            return value;
+        }
+        if (this.acceptPunct('-')) {
+            const value = this.parseFactor(bound);
+            return bindings => -value(bindings);
+        }
+        const token = this.peek();
+        if (token.type === 'word' && !isLiteralWord(token.value)) {
+            const [varName, ...path] = this.parsePath('a value');
+            if (!bound.has(varName)) {
+                throw syntaxError(token, `Unknown variable "${varName}".`);
+            }
+            if (path.length === 0) {
+                return bindings => bindings[varName];
+            }
+            return bindings => {
+                const value = bindings[varName];
+                return readPath(value instanceof Fact ? value.data : value, path);
+            };
+        }
+        const value = this.parseLiteral();
+        return () => value;
+    }
+
+    peek() {
+        return this.tokens[this.pos];
+    }
+
+    next() {
+        const token = this.tokens[this.pos];
+        if (token.type !== 'eof') this.pos++;
+        return token;
+    }
+
+    expect(type, expected) {
+        const token = this.next();
+        if (token.type !== type) {
+            throw unexpected(token, expected);
+        }
+        return token;
+    }
+
+    expectWord(word) {
+        if (!this.acceptWord(word)) {
+            throw unexpected(this.peek(), `"${word}"`);
+        }
+    }
+
+    expectPunct(punct) {
+        if (!this.acceptPunct(punct)) {
+            throw unexpected(this.peek(), `"${punct}"`);
+        }
+    }
+
+    atWord(word) {
+        const token = this.peek();
+        return token.type === 'word' && token.value === word;
+    }
+
+    atPunct(punct) {
+        const token = this.peek();
+        return token.type === 'punct' && token.value === punct;
+    }
+
+    acceptWord(word) {
+        return this.atWord(word) ? this.next() : null;
+    }
+
+    acceptPunct(punct) {
+        return this.atPunct(punct) ? this.next() : null;
+    }
+}
+
+function runStatements(statements, from, engine, bindings) {
+    for (let i = from; i < statements.length; i++) {
+        const result = statements[i](engine, bindings);
+        // An async function keeps the statements after it waiting, and makes the action async
+        if (result && typeof result.then === 'function') {
+            return result.then(() => runStatements(statements, i + 1, engine, bindings));
+        }
+    }
+}
+
+function arithmetic(op, left, right) {
+    switch (op) {
+        case '+': return bindings => left(bindings) + right(bindings);
+        case '-': return bindings => left(bindings) - right(bindings);
+        case '*': return bindings => left(bindings) * right(bindings);
+        default: return bindings => left(bindings) / right(bindings);
+    }
+}
+
+// A path constrained only by equality is written as a plain value
+function simplifyWhere(where) {
+    const simplified = {};
+    for (const [path, operators] of Object.entries(where)) {
+        const ops = Object.keys(operators);
+        simplified[path] = ops.length === 1 && ops[0] === '$eq' ? operators.$eq : operators;
+    }
+    return simplified;
+}
+
+function isLiteralWord(word) {
+    return word === 'true' || word === 'false' || word === 'null';
+}
+
+function tokenize(source) {
+    const tokens = [];
+    let pos = 0;
+    let line = 1;
+    let column = 1;
+
+    const advance = length => {
+        for (const ch of source.slice(pos, pos + length)) {
+            if (ch === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+        }
+        pos += length;
+    };
+    const match = regex => {
+        regex.lastIndex = pos;
+        const result = regex.exec(source);
+        return result ? result[0] : null;
+    };
+
+    while (pos < source.length) {
+        const whitespace = match(/\s+/y);
+        if (whitespace) {
+            advance(whitespace.length);
+            continue;
+        }
+        if (source.startsWith('//', pos)) {
+            const end = source.indexOf('\n', pos);
+            advance((end === -1 ? source.length : end) - pos);
+            continue;
+        }
+        const start = { line, column };
+        if (source.startsWith('/*', pos)) {
+            const end = source.indexOf('*/', pos + 2);
+            if (end === -1) {
+                throw syntaxError(start, 'Unterminated comment.');
+            }
+            advance(end + 2 - pos);
+            continue;
+        }
+
+        const ch = source[pos];
+        if (ch === '"' || ch === "'") {
+            let value = '';
+            let i = pos + 1;
+            while (source[i] !== ch) {
+                if (i >= source.length || source[i] === '\n') {
+                    throw syntaxError(start, 'Unterminated string.');
+                }
+                if (source[i] === '\\' && i + 1 < source.length) {
+                    // Unknown escapes are kept as they are, so regular expressions read naturally
+                    value += ESCAPES[source[i + 1]] ?? source.slice(i, i + 2);
+                    i += 2;
+                } else {
+                    value += source[i++];
+                }
+            }
+            tokens.push({ type: 'string', value, ...start });
+            advance(i + 1 - pos);
+            continue;
+        }
+
+        const number = match(/\d+(\.\d+)?/y);
+        if (number) {
+            tokens.push({ type: 'number', value: Number(number), ...start });
+            advance(number.length);
+            continue;
+        }
+
+        const hyphenated = match(/[A-Za-z_$][\w$]*(-[A-Za-z_$][\w$]*)+/y);
+        const word = hyphenated && HYPHENATED_WORDS.includes(hyphenated) ? hyphenated : match(/[A-Za-z_$][\w$]*/y);
+        if (word) {
+            tokens.push({ type: 'word', value: word, ...start });
+            advance(word.length);
+            continue;
+        }
+
+        const punct = PUNCTUATION.find(p => source.startsWith(p, pos));
+        if (punct) {
+            tokens.push({ type: 'punct', value: punct, ...start });
+            advance(punct.length);
+            continue;
+        }
+        throw syntaxError(start, `Unexpected character "${ch}".`);
+    }
+
+    tokens.push({ type: 'eof', value: '', line, column });
+    return tokens;
+}
+
+function unexpected(token, expected) {
+    const found = token.type === 'eof' ? 'the end of the input'
+        : token.type === 'string' ? JSON.stringify(token.value)
+            : `"${token.value}"`;
+    return syntaxError(token, `Expected ${expected} but found ${found}.`);
+}
+
+// Parse errors carry the position they were found at
+function syntaxError({ line, column }, message) {
+    const error = new Error(`Parse error at line ${line}, column ${column}: ${message}`);
+    error.line = line;
+    error.column = column;
+    return error;
+}
@@ -5,15 +5,39 @@
  *   conditions: { ... },
  *   action: (facts, engine, bindings) => { ... },
  *   salience: number,
+ *   agendaGroup: string,              // defaults to 'MAIN'
+ *   activationGroup: string,          // optional; only one rule of the group fires
+ *   noLoop: boolean,
+ *   lockOnActive: boolean,
+ *   produces: [types],                // optional; types of the facts the action inserts
+ *   modifies: [types],                // optional; types of the facts it updates or removes
  *   rootNode: [compiled node tree]   // <-- assigned at runtime
  * }
  */
 export class ProductionRule {
-    constructor({ name, conditions, action, salience, rootNode }) {
+    constructor({
+        name,
+        conditions,
+        action,
+        salience,
+        agendaGroup,
+        activationGroup,
+        noLoop,
+        lockOnActive,
+        produces,
+        modifies,
+        rootNode
+    }) {
         this.name = name;
         this.conditions = conditions;  // Original DSL (for reference)
         this.action = action;
         this.salience = salience;
+        this.agendaGroup = agendaGroup;
+        this.activationGroup = activationGroup;
+        this.noLoop = noLoop;
+        this.lockOnActive = lockOnActive;
+        this.produces = produces;
+        this.modifies = modifies;
 
         // The compiled node tree for evaluating this rule:
         this.rootNode = rootNode;
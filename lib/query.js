@@ -1,13 +1,27 @@
+import { compileWhere, matchesConstraints } from './where.js';
+
 export class Query {
     constructor(wmi, type) {
         this.wmi = wmi;
         this.type = type;
         this.predicate = null;
+        this.constraints = null;
         this._limit = Infinity;
     }
 
+    /**
+     * Filter by a predicate on the fact data, or by declarative constraints
+     * like `{ speed: { $gt: 50 } }`, which can be answered from an index.
+     */
     where(predicate) {
-        this.predicate = predicate;
+        if (typeof predicate === 'function') {
+            this.predicate = predicate;
+            this.constraints = null;
+        } else {
+            const constraints = compileWhere(predicate, this.type);
+            this.predicate = data => matchesConstraints(data, constraints);
+            this.constraints = constraints;
+        }
         return this;
     }
 
@@ -17,7 +31,14 @@ export class Query {
     }
 
     execute() {
-        let results = this.type ? this.wmi.getByType(this.type) : this.wmi.allFacts();
+        let results;
+        if (!this.type) {
+            results = this.wmi.allFacts();
+        } else if (this.constraints) {
+            results = this.wmi.candidates(this.type, this.constraints);
+        } else {
+            results = this.wmi.getByType(this.type);
+        }
         if (this.predicate) {
             results = results.filter(fact => this.predicate(fact.data));
         }
@@ -1,164 +1,929 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
 import { WorkingMemoryIndexer } from './working-memory-indexer.js';
 import { ProductionRule } from './production-rule.js';
-import { compileConditions, initializeNodesWithWMI } from './compile.js';
-import { AccumulatorNode } from './nodes.js';
+import { compileConditions, compileContext, initializeNodesWithWMI, releaseNodesFromWMI } from './compile.js';
+import { ReteNetwork } from './network.js';
+import { LogicalExistsNode, LogicalNotNode, TerminalNode } from './nodes.js';
 import { Query } from './query.js';
 import { Fact } from './fact.js';
+import { EventEmitter } from './event-emitter.js';
+import { parseRules } from './parser.js';
+import { assertValidRule } from './validate.js';
+import { analyzeRuleSet } from './analysis.js';
 
 const DEFAULT_MAX_CYCLES = 100;
+const ACTION_ERROR_POLICIES = ['rollback-and-throw', 'rollback-and-continue', 'halt'];
+export const MAIN_AGENDA_GROUP = 'MAIN';
 
-export class RulesEngine {
+// A fork that is garbage collected no longer holds the nodes of its rules
+const forksSharingNetwork = new FinalizationRegistry(({ network, rules }) => {
+    for (const rule of rules) {
+        network.release(rule.terminalNode);
+    }
+});
+
+/**
+ * Emits:
+ *   fact:inserted { fact }, fact:updated { fact, previous }, fact:removed { fact }
+ *   activation:created { rule, match }
+ *   activation:cancelled { rule, match, reason }
+ *   rule:beforeFire { rule, match, cycle }, rule:afterFire { rule, match, cycle, duration }
+ *   rule:error { rule, match, cycle, error }
+ *   cycle:start { cycle }, cycle:end { cycle, fired }
+ *   run:complete { reason, cycles, fired }
+ */
+export class RulesEngine extends EventEmitter {
     constructor(options = {}) {
-        this.wmi = new WorkingMemoryIndexer();
+        super();
+        this.wmi = new WorkingMemoryIndexer({ idGenerator: options.idGenerator });
         this.rules = [];
+        this.network = new ReteNetwork(); // the rules' nodes, shared where their conditions are the same
         this.cycleCount = 0;
         this.firedHistory = new Set();
         this.conflictResolver = this.defaultConflictResolver;
         this.trace = options.trace === true;
         this.executionTrace = [];
         this.maxCycles = options.maxCycles ?? DEFAULT_MAX_CYCLES;
+        this.onActionError = options.onActionError ?? 'rollback-and-throw';
+        if (!ACTION_ERROR_POLICIES.includes(this.onActionError)) {
+            throw new Error(
+                `Unknown onActionError policy "${this.onActionError}". ` +
+                `Expected one of: ${ACTION_ERROR_POLICIES.join(', ')}.`
+            );
+        }
+        this.firing = null; // { rule, match, signature, ... } while an action runs
+        this.asyncFiring = new AsyncLocalStorage(); // the firing an async action continues after an await
+        this.runState = null; // { signal, deadline, fired, reason, error } while run() is going
+        this.retractingUnsupported = false;
+        this.focusStack = []; // agenda groups; MAIN is implicitly at the bottom
+        this.cancelledActivations = new WeakSet(); // matches that must not fire
+        this.lockedGroup = null; // focused group whose lockOnActive rules are locked
+        this.lockedMatches = new Set(); // matches of those rules from before the lock
+        this.disabledRules = new Set(); // names of rules that keep matching but don't fire
+
+        this.wmi.listener = {
+            factInserted: fact => {
+                const firing = this.currentFiring();
+                firing?.changes.push({ inserted: fact });
+                firing?.traceEntry?.factsAdded.push({ ...fact.data });
+                this.emit('fact:inserted', { fact });
+            },
+            factUpdated: (fact, previous, previousRecency) => {
+                const firing = this.currentFiring();
+                firing?.changes.push({ updated: fact, data: previous, recency: previousRecency });
+                firing?.traceEntry?.factsUpdated.push({ id: fact.id, before: previous, after: { ...fact.data } });
+                this.emit('fact:updated', { fact, previous });
+            },
+            factRemoved: (fact, signature) => {
+                const firing = this.currentFiring();
+                firing?.changes.push({ removed: fact, signature });
+                firing?.traceEntry?.factsRemoved.push({ id: fact.id, data: { ...fact.data } });
+                this.emit('fact:removed', { fact });
+            },
+            matchAsserted: (rule, match) => {
+                if (rule) this.emit('activation:created', { rule, match });
+            },
+            matchRetracted: (rule, match) => {
+                if (rule) this.activationRetracted(rule, match);
+            }
+        };
     }
 
     addFact(factData) {
-        const fact = new Fact(factData);
+        const fact = new Fact(factData, this.wmi.allocateFactId(factData));
         this.wmi.insertFact(fact);
+        this.retractUnsupportedFacts();
+        return fact;
+    }
+
+    /**
+     * Insert a fact that only holds while the match of the currently firing
+     * rule holds. Once that match is retracted, the fact is retracted too.
+     */
+    insertLogical(factData) {
+        const firing = this.currentFiring();
+        if (!firing) {
+            throw new Error('insertLogical can only be called from a rule action.');
+        }
+        const { rule, match, signature } = firing;
+        const fact = this.addFact(factData);
+        this.wmi.addLogicalSupport(fact, match, signature);
+
+        // The match may already be gone if an earlier action in this cycle retracted it
+        if (!this.wmi.getNodeMemory(rule.terminalNode).tokens.has(match)) {
+            this.wmi.supportLost(match);
+            this.retractUnsupportedFacts();
+        }
         return fact;
     }
 
+    /**
+     * Return the fact with the given ID, or undefined if there is none.
+     */
+    getFact(factId) {
+        return this.wmi.getFact(factId);
+    }
+
     updateFact(factId, newData) {
-        this.wmi.updateFact(factId, newData);
+        const fact = this.wmi.updateFact(factId, newData);
+        this.retractUnsupportedFacts();
+        return fact;
     }
 
     removeFact(factId) {
         this.wmi.removeFact(factId);
+        this.retractUnsupportedFacts();
+    }
+
+    /**
+     * Retract logically inserted facts whose supporting match is gone.
+     * Retracting one may take away the support of others, so this cascades
+     * until working memory is consistent again.
+     */
+    retractUnsupportedFacts() {
+        const { wmi } = this;
+        if (wmi.logicalSupport.size === 0 || this.retractingUnsupported) return;
+
+        this.retractingUnsupported = true;
+        try {
+            wmi.flushPending();
+            while (wmi.lostSupport.length > 0) {
+                const match = wmi.lostSupport.shift();
+                const support = wmi.logicalSupport.get(match);
+                if (!support) continue;
+
+                // The rule may fire again if its conditions come to hold again
+                this.firedHistory.delete(support.signature);
+                for (const fact of Array.from(support.facts)) {
+                    wmi.removeFact(fact.id);
+                }
+                wmi.logicalSupport.delete(match);
+                wmi.flushPending();
+            }
+        } finally {
+            this.retractingUnsupported = false;
+        }
     }
 
     addRule(ruleDef) {
-        // We create a local set to track which types this rule references
-        const referencedTypes = new Set();
-        const hasNegation = { value: false };
-        const rootNode = compileConditions(ruleDef.conditions, false, referencedTypes, hasNegation);
-        initializeNodesWithWMI(rootNode, this.wmi);
+        if (this.getRule(ruleDef.name)) {
+            throw new Error(`Rule "${ruleDef.name}" already exists. Use replaceRule() to change it.`);
+        }
+        const rule = this.compileRule(ruleDef);
+        this.rules.push(rule);
+        return rule;
+    }
+
+    /**
+     * Add the rules written in the text rule language (see parser.js). Either
+     * all of them are added or, if one fails to compile, none.
+     */
+    loadRules(source, options) {
+        const added = [];
+        try {
+            for (const ruleDef of parseRules(source, options)) {
+                added.push(this.addRule(ruleDef));
+            }
+        } catch (error) {
+            for (const rule of added) {
+                this.removeRule(rule.name);
+            }
+            throw error;
+        }
+        return added;
+    }
+
+    compileRule(ruleDef) {
+        assertValidRule(ruleDef);
+
+        // The context tracks which types this rule references
+        const context = compileContext(this.network);
+        let rootNode;
+        try {
+            rootNode = compileConditions(ruleDef.conditions, false, context);
+        } catch (error) {
+            this.network.discardCreated();
+            throw error;
+        }
 
         const salience = (typeof ruleDef.salience === 'number') ? ruleDef.salience : 0;
         const rule = new ProductionRule({
             ...ruleDef,
             salience,
+            agendaGroup: ruleDef.agendaGroup ?? MAIN_AGENDA_GROUP,
+            noLoop: ruleDef.noLoop === true,
+            lockOnActive: ruleDef.lockOnActive === true,
             rootNode
         });
+        const terminalNode = new TerminalNode(rootNode);
+        terminalNode.rule = rule;
+        rule.terminalNode = terminalNode;
 
         // Store the set of all alpha types referenced by this rule:
         // If it's empty => purely beta or no-fact rule
-        rule.referencedTypes = referencedTypes;
-        // Store whether this rule contains negation
-        rule.hasNegation = hasNegation.value;
-        // Store whether this rule has an accumulator (needs to evaluate even with no facts)
-        rule.hasAccumulator = rootNode instanceof AccumulatorNode;
+        rule.referencedTypes = context.referencedTypes;
+        // Nodes shared with other rules are already connected
+        this.network.retain(terminalNode);
+        initializeNodesWithWMI([terminalNode], this.wmi);
+        return rule;
+    }
 
-        this.rules.push(rule);
+    getRule(name) {
+        return this.rules.find(rule => rule.name === name);
+    }
+
+    /**
+     * Remove a rule and everything the engine keeps for it: its node memories,
+     * its pending activations and refraction state. Facts it inserted with
+     * insertLogical() lose their support and are retracted.
+     */
+    removeRule(name) {
+        const rule = this.getRule(name);
+        if (!rule) {
+            throw new Error(`removeRule: No rule found with name "${name}"`);
+        }
+        this.rules.splice(this.rules.indexOf(rule), 1);
+        this.disabledRules.delete(name);
+        this.detachRule(rule);
+        this.retractUnsupportedFacts();
+    }
+
+    /**
+     * Swap the rule named `ruleDef.name` for a new definition. The old rule is
+     * kept if the new definition doesn't compile. The new rule starts with a
+     * clean refraction state, so it may fire for matches the old one fired for.
+     */
+    replaceRule(ruleDef) {
+        const oldRule = this.getRule(ruleDef.name);
+        if (!oldRule) {
+            throw new Error(`replaceRule: No rule found with name "${ruleDef.name}"`);
+        }
+        const rule = this.compileRule(ruleDef);
+        this.rules.splice(this.rules.indexOf(oldRule), 1, rule);
+        this.detachRule(oldRule);
+        this.retractUnsupportedFacts();
         return rule;
     }
 
+    detachRule(rule) {
+        // The refraction of matches that no longer hold is dropped by the next collectMatches()
+        for (const match of rule.terminalNode.getPartialMatches(this.wmi)) {
+            this.cancelActivation(rule, match, 'ruleRemoved');
+            this.firedHistory.delete(this.buildMatchSignature(rule.name, match));
+            this.wmi.supportLost(match);
+            this.lockedMatches.delete(match);
+        }
+        releaseNodesFromWMI(rule.terminalNode, this.wmi);
+        this.network.release(rule.terminalNode);
+    }
+
+    /**
+     * Explain the state of a rule: a report per node of its compiled network
+     * (how many facts or tokens passed, and how many were eliminated), the
+     * nodes that eliminated everything, and what became of each match.
+     * `status` is one of 'pending', 'noMatches', 'refracted' (every match has
+     * already fired), 'cancelled' or 'disabled'.
+     */
+    explain(ruleName) {
+        const rule = this.getRule(ruleName);
+        if (!rule) {
+            throw new Error(`explain: No rule found with name "${ruleName}"`);
+        }
+        this.wmi.flushPending();
+        this.retractUnsupportedFacts();
+
+        // The body of a not/exists continues from its left input, so nodes can be reached twice
+        const reports = new Map();
+        const eliminatedBy = [];
+        // Only nodes below which nothing passed are to blame for the rule having no matches
+        const explainNode = (node, blocked) => {
+            if (reports.has(node)) {
+                return { ref: reports.get(node).id };
+            }
+            const report = { id: reports.size + 1, ...node.explain(this.wmi) };
+            reports.set(node, report);
+            const isBlocked = blocked && report.passed === 0;
+            report.inputs = node.inputs.map((input, side) => {
+                // An empty `not` body is what lets the `not` pass, and an empty
+                // `exists` body only blocks if left tokens got that far
+                if (side === 1 && node instanceof LogicalNotNode) {
+                    return explainNode(input, false);
+                }
+                if (side === 1 && node instanceof LogicalExistsNode) {
+                    return explainNode(input, isBlocked && report.candidates > 0);
+                }
+                return explainNode(input, isBlocked);
+            });
+            if (isBlocked && (report.eliminated > 0 || node.inputs.length === 0)) {
+                const { inputs, ...summary } = report;
+                eliminatedBy.push(summary);
+            }
+            return report;
+        };
+        const network = explainNode(rule.rootNode, true);
+
+        const matches = rule.terminalNode.getPartialMatches(this.wmi).map(match => {
+            const signature = this.buildMatchSignature(rule.name, match);
+            let status = 'pending';
+            if (this.firedHistory.has(signature)) {
+                status = 'fired';
+            } else if (this.cancelledActivations.has(match)) {
+                status = 'cancelled';
+            }
+            return { factIds: match.facts.map(f => f.id), bindings: serializeBindings(match.bindings), status };
+        });
+        const count = status => matches.filter(m => m.status === status).length;
+
+        let status;
+        const enabled = !this.disabledRules.has(rule.name);
+        if (!enabled) {
+            status = 'disabled';
+        } else if (count('pending') > 0) {
+            status = 'pending';
+        } else if (matches.length === 0) {
+            status = 'noMatches';
+        } else if (count('fired') > 0) {
+            status = 'refracted';
+        } else {
+            status = 'cancelled';
+        }
+
+        return {
+            rule: rule.name,
+            status,
+            enabled,
+            matches,
+            refracted: count('fired'),
+            eliminatedBy,
+            network
+        };
+    }
+
+    /**
+     * Look for problems in the rule set without running it: rules that can't
+     * fire because nothing produces a type they need, contradictory `where`
+     * constraints, rules with the same conditions and rules that can activate
+     * each other endlessly. `inputTypes` are the types of the facts the
+     * application adds; types in working memory count as well.
+     */
+    analyzeRules({ inputTypes = [] } = {}) {
+        const factTypes = Array.from(this.wmi.typeIndex)
+            .filter(([, facts]) => facts.size > 0)
+            .map(([type]) => type);
+        return analyzeRuleSet(this.rules, { inputTypes: [...inputTypes, ...factTypes] });
+    }
+
+    /**
+     * A disabled rule keeps matching, so it is up to date when it is enabled
+     * again, but none of its activations fire in the meantime.
+     */
+    disableRule(name) {
+        this.setRuleEnabled(name, false);
+    }
+
+    enableRule(name) {
+        this.setRuleEnabled(name, true);
+    }
+
+    setRuleEnabled(name, enabled) {
+        const rule = this.getRule(name);
+        if (!rule) {
+            throw new Error(`${enabled ? 'enableRule' : 'disableRule'}: No rule found with name "${name}"`);
+        }
+        if (enabled) {
+            this.disabledRules.delete(name);
+        } else {
+            this.disabledRules.add(name);
+        }
+    }
+
+    /**
+     * Whether a rule is still part of the engine and enabled (an action may
+     * have removed or disabled it after the agenda was resolved).
+     */
+    isRuleActive(rule) {
+        return this.getRule(rule.name) === rule && !this.disabledRules.has(rule.name);
+    }
+
     query(type) {
         return new Query(this.wmi, type);
     }
 
+    /**
+     * Index the facts of `type` by an attribute (or an array of attributes),
+     * e.g. `createIndex('Vehicle', 'intersectionId')`. With `{ sorted: true }`
+     * the index also answers range constraints on its single attribute.
+     * Queries and `where` patterns use indexes automatically.
+     */
+    createIndex(type, attributes, options) {
+        this.wmi.createIndex(type, attributes, options);
+    }
+
     setConflictResolver(resolverFn) {
         this.conflictResolver = resolverFn;
     }
 
-    run() {
-        this.cycleCount = 0;
-        this.clearExecutionTrace();
+    /**
+     * Push an agenda group onto the focus stack. Only rules of the focused
+     * group fire; once it has nothing left to fire it is popped and the
+     * group below it gets the focus.
+     */
+    setFocus(agendaGroup) {
+        if (this.getFocus() !== agendaGroup) {
+            this.focusStack.push(agendaGroup);
+        }
+    }
+
+    /**
+     * Pop the focused agenda group and return it. MAIN is never popped.
+     */
+    popFocus() {
+        return this.focusStack.pop() ?? MAIN_AGENDA_GROUP;
+    }
 
-        while (this.cycleCount < this.maxCycles) {
-            // 1) "Promote" any newly dirtied types to current dirty set for this cycle
-            this.wmi.promoteNextCycleDirty();
+    getFocus() {
+        return this.focusStack.length > 0
+            ? this.focusStack[this.focusStack.length - 1]
+            : MAIN_AGENDA_GROUP;
+    }
 
-            // 2) Gather matches. We skip alpha if no intersection with *current* dirty set
-            const agenda = this.collectMatches(true /* we still skip alpha if no dirty intersection */);
+    getFocusStack() {
+        return [MAIN_AGENDA_GROUP, ...this.focusStack];
+    }
 
-            // If no matches at all => stable, break out
-            if (agenda.length === 0) {
-                break;
+    /**
+     * Fire rules until nothing is left to fire. Returns `{ reason, cycles, fired }`,
+     * where reason is 'stable', 'halted' (see halt()), 'aborted' (`signal` was
+     * aborted), 'timeout' (`timeoutMs` ran out) or 'error' (an action threw
+     * under the 'halt' policy, see `error`). The current firing is always
+     * finished before stopping.
+     */
+    run({ signal, timeoutMs } = {}) {
+        this.startRun(signal, timeoutMs);
+        try {
+            while (this.cycleCount < this.maxCycles && !this.shouldStop()) {
+                const resolvedAgenda = this.nextCycle();
+                if (!resolvedAgenda) {
+                    break;
+                }
+
+                // Fire matches. If nothing fired => stable
+                const fired = this.fireMatches(resolvedAgenda);
+                this.emit('cycle:end', { cycle: this.cycleCount, fired });
+                if (!fired) {
+                    break;
+                }
             }
 
-            this.cycleCount++;
+            return this.runResult();
+        } finally {
+            this.runState = null;
+        }
+    }
 
-            // Conflict resolution
-            const resolvedAgenda = this.conflictResolver(agenda);
+    /**
+     * Like run(), but awaits actions that return a promise. Activations fire
+     * in agenda order; with `concurrency` > 1, up to that many actions of a
+     * cycle run at the same time as long as their matches share no facts.
+     */
+    async runAsync({ concurrency = 1, signal, timeoutMs } = {}) {
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw new Error(`runAsync: concurrency must be a positive integer, got ${concurrency}`);
+        }
+        this.startRun(signal, timeoutMs);
+        try {
+            while (this.cycleCount < this.maxCycles && !this.shouldStop()) {
+                const resolvedAgenda = this.nextCycle();
+                if (!resolvedAgenda) {
+                    break;
+                }
 
-            // Fire matches
-            const somethingFired = this.fireMatches(resolvedAgenda);
+                const fired = await this.fireMatchesAsync(resolvedAgenda, concurrency);
+                this.emit('cycle:end', { cycle: this.cycleCount, fired });
+                if (!fired) {
+                    break;
+                }
+            }
 
-            // If nothing fired => stable
-            if (!somethingFired) {
-                break;
+            return this.runResult();
+        } finally {
+            this.runState = null;
+        }
+    }
+
+    /**
+     * Stop the current run once the firing in progress is finished. Can be
+     * called from an action, or from outside while runAsync() is awaiting.
+     */
+    halt() {
+        if (this.runState) {
+            this.runState.reason = 'halted';
+        }
+    }
+
+    startRun(signal, timeoutMs) {
+        this.cycleCount = 0;
+        this.lockedGroup = null;
+        this.clearExecutionTrace();
+        this.runState = {
+            signal,
+            deadline: timeoutMs === undefined ? Infinity : Date.now() + timeoutMs,
+            fired: 0,
+            reason: null,
+            error: null
+        };
+    }
+
+    shouldStop() {
+        const state = this.runState;
+        if (!state) {
+            return false;
+        }
+        if (!state.reason) {
+            if (state.signal?.aborted) {
+                state.reason = 'aborted';
+            } else if (Date.now() >= state.deadline) {
+                state.reason = 'timeout';
             }
+        }
+        return state.reason !== null;
+    }
 
-            this.wmi.clearDirtyCurrentCycle();
+    runResult() {
+        const { reason, fired, error } = this.runState;
+        if (!reason) {
+            this.checkMaxCycles();
+        }
+        const result = { reason: reason || 'stable', cycles: this.cycleCount, fired };
+        if (reason === 'error') {
+            result.error = error;
         }
+        this.emit('run:complete', result);
+        return result;
+    }
 
+    /**
+     * Start the next cycle and return the activations to fire in it, or null
+     * once there is nothing left to fire (=> stable). Terminal memories keep
+     * the matches that already fired, so the agenda is resolved (which drops
+     * them) before a cycle is counted.
+     */
+    nextCycle() {
+        // Gather matches from every rule's terminal memory
+        const agenda = this.collectMatches();
+        if (agenda.length === 0) {
+            return null;
+        }
+
+        // Conflict resolution, within the focused agenda group
+        const resolvedAgenda = this.resolveFocusedAgenda(agenda);
+        if (resolvedAgenda.length === 0) {
+            return null;
+        }
+
+        this.cycleCount++;
+        this.emit('cycle:start', { cycle: this.cycleCount });
+        return resolvedAgenda;
+    }
+
+    checkMaxCycles() {
         if (this.cycleCount >= this.maxCycles) {
             throw new Error(`Max cycles (${this.maxCycles}) reached. Possible infinite loop.`);
         }
     }
 
     /**
-     * We collect matches from all rules, but we skip rules that reference only alpha types
-     * that are currently not dirty—*unless* the rule references no types at all (in which case
-     * we always evaluate it).
+     * Resolve the matches of the focused agenda group. A group with nothing
+     * left to fire loses the focus to the group below it on the stack.
      */
-    collectMatches(skipCleanAlpha = false) {
-        const agenda = [];
+    resolveFocusedAgenda(agenda) {
+        while (true) {
+            const focus = this.getFocus();
+            if (focus !== this.lockedGroup) {
+                this.lockAgendaGroup(focus);
+            }
+            const resolvedAgenda = this.conflictResolver(
+                agenda.filter(a => a.rule.agendaGroup === focus && !this.isCancelled(a))
+            );
+            if (resolvedAgenda.length > 0 || this.focusStack.length === 0) {
+                return resolvedAgenda;
+            }
+            this.focusStack.pop();
+        }
+    }
 
+    /**
+     * lockOnActive rules of a group that gets the focus only fire for the
+     * matches they already had; anything they match afterwards is cancelled.
+     */
+    lockAgendaGroup(agendaGroup) {
+        this.lockedGroup = agendaGroup;
+        this.lockedMatches = new Set();
         for (const rule of this.rules) {
-            const { referencedTypes, rootNode, name, salience, hasNegation } = rule;
-
-            // If purely beta (no alpha types), always evaluate it
-            if (referencedTypes.size === 0) {
-                const matches = rootNode.evaluateAndGetPartialMatches();
-                for (const match of matches) {
-                    const signature = this.buildMatchSignature(name, match);
-                    const matchRecency = match.facts.length > 0
-                        ? Math.max(...match.facts.map(f => f.recency))
-                        : 0;
-                    agenda.push({ rule, match, signature, salience, matchRecency });
+            if (rule.lockOnActive && rule.agendaGroup === agendaGroup) {
+                for (const match of rule.terminalNode.getPartialMatches(this.wmi)) {
+                    this.lockedMatches.add(match);
                 }
-                continue;
             }
+        }
+    }
 
-            // Rules with negation or accumulators must always be evaluated
-            // Negation: absence of facts is meaningful
-            // Accumulators: need to evaluate at least once to return empty collection
-            if (skipCleanAlpha && !hasNegation && !rule.hasAccumulator) {
-                // Check dirty types for the current cycle via
-                // getDirtyTypesCurrentCycle()
-                const dirtyTypes = this.wmi.getDirtyTypesCurrentCycle();
-                const intersectsDirty = dirtyTypes.some(dt => referencedTypes.has(dt));
-                if (!intersectsDirty) {
-                    // skip evaluating => no new matches
-                    continue;
+    isCancelled({ rule, match }) {
+        if (rule.lockOnActive && rule.agendaGroup === this.lockedGroup && !this.lockedMatches.has(match)) {
+            this.cancelActivation(rule, match, 'lockOnActive');
+        }
+        return this.cancelledActivations.has(match);
+    }
+
+    /**
+     * Once a rule of an activation group fires, the other activations of that
+     * group are cancelled. Matches made by the firing action itself are not.
+     */
+    cancelActivationGroup(activationGroup, firedMatch) {
+        for (const rule of this.rules) {
+            if (rule.activationGroup !== activationGroup) continue;
+            for (const match of rule.terminalNode.getPartialMatches(this.wmi)) {
+                if (match !== firedMatch) {
+                    this.cancelActivation(rule, match, 'activationGroup');
                 }
             }
+        }
+    }
+
+    cancelActivation(rule, match, reason) {
+        if (this.cancelledActivations.has(match)) return;
+        this.cancelledActivations.add(match);
+        // Matches that already fired are not on the agenda anymore
+        if (this.hasListeners('activation:cancelled') &&
+            !this.firedHistory.has(this.buildMatchSignature(rule.name, match))) {
+            this.emit('activation:cancelled', { rule, match, reason });
+        }
+    }
+
+    /**
+     * A match that is retracted before it fired drops off the agenda.
+     */
+    activationRetracted(rule, match) {
+        if (!this.hasListeners('activation:cancelled') ||
+            this.cancelledActivations.has(match) ||
+            this.currentFiring()?.match === match ||
+            this.firedHistory.has(this.buildMatchSignature(rule.name, match))) {
+            return;
+        }
+        this.emit('activation:cancelled', { rule, match, reason: 'retracted' });
+    }
+
+    /**
+     * The network is kept up to date as facts change, so collecting matches is
+     * just a read of each rule's terminal memory (after deferred results have
+     * been emitted).
+     */
+    collectMatches() {
+        this.wmi.flushPending();
+        this.retractUnsupportedFacts();
 
-            // Evaluate normally (accumulator nodes maintain their state incrementally)
-            const matches = rootNode.evaluateAndGetPartialMatches();
-            for (const match of matches) {
+        const agenda = [];
+        const current = new Set();
+        for (const rule of this.rules) {
+            const { terminalNode, name, salience } = rule;
+            for (const match of terminalNode.getPartialMatches(this.wmi)) {
                 const signature = this.buildMatchSignature(name, match);
-                const matchRecency = Math.max(...match.facts.map(f => f.recency));
+                current.add(signature);
+                // Disabled rules keep their refraction state, but don't get on the agenda
+                if (this.disabledRules.has(name)) continue;
+                const matchRecency = match.facts.reduce((max, f) => Math.max(max, f.recency), 0);
                 agenda.push({ rule, match, signature, salience, matchRecency });
             }
         }
 
+        // Forget matches that no longer hold, so they can fire again if they come back
+        for (const signature of this.firedHistory) {
+            if (!current.has(signature)) {
+                this.firedHistory.delete(signature);
+            }
+        }
+
         return agenda;
     }
 
     buildMatchSignature(ruleName, match) {
-        // Always use fact IDs for signatures
-        // This allows accumulators to fire multiple times as facts change
-        const factIds = match.facts.map(f => f.id.toString()).sort().join(',');
-        return `${ruleName}::${factIds}`;
+        // Fact IDs plus their recency, which updateFact bumps => a rule fires
+        // again for the same facts once one of them has been updated.
+        // This also allows accumulators to fire multiple times as facts change
+        const factVersions = match.facts.map(f => `${f.id}@${f.recency}`).sort().join(',');
+        return `${ruleName}::${factVersions}`;
+    }
+
+    /**
+     * Forget which matches have fired (or were cancelled), so every current
+     * match can fire again on the next run().
+     */
+    resetRefraction() {
+        this.firedHistory.clear();
+        this.cancelledActivations = new WeakSet();
+    }
+
+    /**
+     * Capture working memory (facts and their recency), refraction, logical
+     * support and the focus stack. The snapshot holds copies of the facts, so
+     * the engine keeps updating its own facts in place.
+     */
+    snapshot() {
+        const { wmi } = this;
+        wmi.flushPending();
+        this.retractUnsupportedFacts();
+
+        const facts = wmi.allFacts().sort((a, b) => a.recency - b.recency).map(fact => fact.copy());
+
+        // Matches are recreated on restore, so they are recorded by signature
+        const cancelled = [];
+        for (const rule of this.rules) {
+            for (const match of rule.terminalNode.getPartialMatches(wmi)) {
+                if (this.cancelledActivations.has(match)) {
+                    cancelled.push(this.buildMatchSignature(rule.name, match));
+                }
+            }
+        }
+
+        return Object.freeze({
+            facts,
+            versionCounter: wmi.versionCounter,
+            nextFactId: wmi.nextFactId,
+            firedHistory: Array.from(this.firedHistory),
+            cancelled,
+            logicalSupport: Array.from(wmi.logicalSupport.values(), ({ signature, facts }) => ({
+                signature,
+                factIds: Array.from(facts, fact => fact.id)
+            })),
+            focusStack: [...this.focusStack]
+        });
+    }
+
+    /**
+     * Roll working memory back to a snapshot. The node memories (including
+     * accumulator state) are rebuilt from the snapshot's facts by the current
+     * rules. A snapshot can be restored any number of times.
+     */
+    restore(snapshot) {
+        const wmi = new WorkingMemoryIndexer({ idGenerator: this.wmi.idGenerator });
+        for (const { type, attributes, sorted } of this.wmi.indexDefinitions()) {
+            wmi.createIndex(type, attributes, { sorted });
+        }
+        // Copied again, so the snapshot can be restored any number of times
+        for (const fact of snapshot.facts) {
+            wmi.indexFact(fact.copy());
+        }
+        wmi.versionCounter = snapshot.versionCounter;
+        // Ids handed out since the snapshot are not reused
+        wmi.nextFactId = Math.max(snapshot.nextFactId, this.wmi.nextFactId);
+        initializeNodesWithWMI(this.rules.map(rule => rule.terminalNode), wmi);
+
+        const matches = this.matchesBySignature(wmi);
+        for (const { signature, factIds } of snapshot.logicalSupport) {
+            // Support from a rule that has been removed since => retracted below
+            const match = matches.get(signature) || {};
+            for (const id of factIds) {
+                wmi.addLogicalSupport(wmi.getFact(id), match, signature);
+            }
+            if (!matches.has(signature)) {
+                wmi.supportLost(match);
+            }
+        }
+
+        wmi.listener = this.wmi.listener;
+        this.wmi = wmi;
+        this.firedHistory = new Set(snapshot.firedHistory);
+        this.cancelledActivations = new WeakSet(
+            snapshot.cancelled.map(signature => matches.get(signature)).filter(Boolean)
+        );
+        this.focusStack = [...snapshot.focusStack];
+        this.lockedGroup = null;
+        this.lockedMatches = new Set();
+        this.retractUnsupportedFacts();
+    }
+
+    /**
+     * Working memory as JSON: every fact with its id, recency and data, and
+     * for logically inserted facts the signature of the supporting match.
+     * Refraction is not included.
+     */
+    exportFacts() {
+        const { wmi } = this;
+        wmi.flushPending();
+        this.retractUnsupportedFacts();
+
+        const facts = wmi.allFacts()
+            .sort((a, b) => a.recency - b.recency)
+            .map(fact => {
+                const entry = { id: fact.id, recency: fact.recency, data: fact.data };
+                const support = wmi.logicalSupport.get(wmi.justifications.get(fact));
+                if (support) {
+                    entry.supportedBy = support.signature;
+                }
+                return entry;
+            });
+        return JSON.stringify({ versionCounter: wmi.versionCounter, facts });
+    }
+
+    /**
+     * Insert facts exported with exportFacts(), keeping their ids and recency.
+     * Logically inserted facts are linked to the matching activation of the
+     * current rules, or retracted if there is none. Returns the facts.
+     */
+    importFacts(json) {
+        // A parsed export is copied, so the facts don't share data with the caller
+        const parsed = JSON.parse(typeof json === 'string' ? json : JSON.stringify(json ?? null));
+        if (typeof parsed !== 'object' || parsed === null || !Array.isArray(parsed.facts)) {
+            throw new Error('importFacts: Expected an object with a "facts" array, as returned by exportFacts().');
+        }
+        const { versionCounter = 0, facts } = parsed;
+        if (!Number.isInteger(versionCounter)) {
+            throw new Error('importFacts: "versionCounter" must be an integer.');
+        }
+
+        // Check every entry before inserting any, so a bad import changes nothing
+        const { wmi } = this;
+        const ids = new Set();
+        facts.forEach((entry, index) => {
+            const { id, recency, data } = entry ?? {};
+            if (typeof id !== 'string' && typeof id !== 'number') {
+                throw new Error(`importFacts: Fact at index ${index} must have a string or number "id".`);
+            }
+            if (!Number.isInteger(recency)) {
+                throw new Error(`importFacts: Fact ${id} must have an integer "recency".`);
+            }
+            if (typeof data !== 'object' || data === null || !data.type) {
+                throw new Error(`importFacts: Fact ${id} must have "data" with a 'type' property.`);
+            }
+            if (ids.has(id) || wmi.getFact(id)) {
+                throw new Error(`importFacts: A fact with ID ${id} already exists`);
+            }
+            ids.add(id);
+        });
+
+        const imported = [];
+        const unsupported = [];
+        for (const { id, recency, data, supportedBy } of [...facts].sort((a, b) => a.recency - b.recency)) {
+            const fact = new Fact(data, id);
+            fact.recency = recency;
+            wmi.reinsertFact(fact);
+            imported.push(fact);
+            if (supportedBy) {
+                unsupported.push({ fact, signature: supportedBy });
+            }
+
+            // Facts created from now on must not reuse imported ids or recency
+            if (Number.isInteger(id) && id >= wmi.nextFactId) {
+                wmi.nextFactId = id + 1;
+            }
+            wmi.versionCounter = Math.max(wmi.versionCounter, versionCounter, recency + 1);
+        }
+        this.relinkLogicalSupport(unsupported);
+        return imported;
+    }
+
+    /**
+     * Map the signature of every current match to the match.
+     */
+    matchesBySignature(wmi = this.wmi) {
+        wmi.flushPending();
+        const matches = new Map();
+        for (const rule of this.rules) {
+            for (const match of rule.terminalNode.getPartialMatches(wmi)) {
+                matches.set(this.buildMatchSignature(rule.name, match), match);
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Create an independent session over the same compiled rules, starting
+     * from this engine's current state. Working memory is copied eagerly, not
+     * on write: the fork gets copies of the facts and rebuilds its node
+     * memories from them, so forking costs about as much as adding the facts
+     * again. Event listeners are not carried over.
+     */
+    fork() {
+        const fork = new RulesEngine({
+            trace: this.trace,
+            maxCycles: this.maxCycles,
+            onActionError: this.onActionError,
+            idGenerator: this.wmi.idGenerator
+        });
+        // The fork shares the compiled rules, and the network for rules it adds
+        fork.network = this.network;
+        fork.rules.push(...this.rules);
+        for (const rule of fork.rules) {
+            this.network.retain(rule.terminalNode);
+        }
+        forksSharingNetwork.register(fork, { network: this.network, rules: fork.rules });
+        fork.disabledRules = new Set(this.disabledRules);
+        fork.conflictResolver = this.conflictResolver;
+        for (const { type, attributes, sorted } of this.wmi.indexDefinitions()) {
+            fork.createIndex(type, attributes, { sorted });
+        }
+        fork.restore(this.snapshot());
+        return fork;
     }
 
     defaultConflictResolver(agenda) {
@@ -178,41 +943,226 @@ export class RulesEngine {
         return filtered;
     }
 
+    /**
+     * Fire the resolved activations in order and return how many fired.
+     */
     fireMatches(resolvedAgenda) {
-        let somethingFired = false;
-        for (const { rule, match, signature } of resolvedAgenda) {
-            if (this.trace) {
-                // Track execution before firing
-                const executionEntry = {
-                    ruleName: rule.name,
-                    timestamp: Date.now(),
-                    facts: match.facts.map(f => f.data),
-                    factsAdded: []
-                };
-
-                // Intercept addFact to track what this rule adds
-                const originalAddFact = this.addFact.bind(this);
-                this.addFact = (factData) => {
-                    executionEntry.factsAdded.push(factData);
-                    return originalAddFact(factData);
-                };
-
-                // Fire the rule
-                rule.action(match.facts, this, match.bindings);
-
-                // Restore original addFact
-                this.addFact = originalAddFact;
-
-                this.executionTrace.push(executionEntry);
+        let fired = 0;
+        for (const activation of resolvedAgenda) {
+            // An action moved the focus to another group => leave the rest for later cycles
+            if (activation.rule.agendaGroup !== this.getFocus() || this.shouldStop()) {
+                break;
+            }
+            // Cancelled by an activation group, or the rule was disabled/removed, earlier in this batch
+            if (this.cancelledActivations.has(activation.match) || !this.isRuleActive(activation.rule)) {
+                continue;
+            }
+
+            const firing = this.beginFiring(activation);
+            try {
+                this.invokeAction(firing);
+            } catch (error) {
+                firing.failed = true;
+                firing.error = error;
+            } finally {
+                this.firing = null;
+            }
+            this.endFiring(firing);
+            fired++;
+            if (firing.failed && this.onActionError === 'rollback-and-throw') {
+                throw firing.error;
+            }
+        }
+        return fired;
+    }
+
+    async fireMatchesAsync(resolvedAgenda, concurrency) {
+        let fired = 0;
+        let failure = null;
+        const running = new Map(); // firing -> its settled promise
+
+        for (const activation of resolvedAgenda) {
+            // Wait for a free slot and for running activations that share facts with this one
+            while (running.size > 0 && !failure && (
+                running.size >= concurrency ||
+                Array.from(running.keys()).some(f => sharesFacts(f.match, activation.match))
+            )) {
+                await Promise.race(running.values());
+            }
+            if (failure || activation.rule.agendaGroup !== this.getFocus() || this.shouldStop()) {
+                break;
+            }
+            if (this.cancelledActivations.has(activation.match) || !this.isRuleActive(activation.rule)) {
+                continue;
+            }
+
+            const firing = this.beginFiring(activation);
+            const settled = this.fireAsync(firing)
+                .catch(error => { failure = failure || { error }; })
+                .finally(() => running.delete(firing));
+            running.set(firing, settled);
+            fired++;
+        }
+
+        await Promise.all(running.values());
+        if (failure) {
+            throw failure.error;
+        }
+        return fired;
+    }
+
+    /**
+     * The action runs in an async context of its own, so that its changes
+     * after an await (recorded for rollback and tracing, or insertLogical())
+     * are still tied to its firing while other actions run concurrently.
+     */
+    async fireAsync(firing) {
+        try {
+            const result = this.asyncFiring.run(firing, () => this.invokeAction(firing));
+            this.firing = null;
+            await result;
+        } catch (error) {
+            firing.failed = true;
+            firing.error = error;
+        } finally {
+            this.firing = null;
+        }
+        this.endFiring(firing);
+        if (firing.failed && this.onActionError === 'rollback-and-throw') {
+            throw firing.error;
+        }
+    }
+
+    beginFiring(activation) {
+        const { rule, match, signature } = activation;
+        if (rule.activationGroup) {
+            this.cancelActivationGroup(rule.activationGroup, match);
+        }
+
+        return {
+            activation,
+            rule,
+            match,
+            signature,
+            changes: [], // working memory changes made by the action, undone if it throws
+            failed: false, // the action threw, possibly a falsy value
+            error: null,
+            // noLoop => whatever the rule matches through its own action doesn't fire
+            previousMatches: rule.noLoop ? new Set(rule.terminalNode.getPartialMatches(this.wmi)) : null,
+            // Track execution before firing
+            traceEntry: this.trace ? {
+                ruleName: rule.name,
+                cycle: this.cycleCount,
+                salience: rule.salience,
+                timestamp: Date.now(),
+                facts: match.facts.map(f => ({ ...f.data })),
+                bindings: serializeBindings(match.bindings),
+                factsAdded: [],
+                factsUpdated: [],
+                factsRemoved: [],
+                duration: null
+            } : null
+        };
+    }
+
+    /**
+     * The firing of the action that is running, if any.
+     */
+    currentFiring() {
+        return this.asyncFiring.getStore() ?? this.firing;
+    }
+
+    invokeAction(firing) {
+        const { rule, match } = firing;
+        this.emit('rule:beforeFire', { rule, match, cycle: this.cycleCount });
+        firing.startedAt = Date.now();
+        this.firing = firing;
+        return rule.action(match.facts, this, match.bindings);
+    }
+
+    endFiring({ activation, rule, match, signature, changes, failed, error, previousMatches, traceEntry, startedAt }) {
+        if (failed) {
+            this.rollback(changes);
+        } else if (previousMatches) {
+            this.wmi.flushPending();
+            for (const newMatch of rule.terminalNode.getPartialMatches(this.wmi)) {
+                if (!previousMatches.has(newMatch)) {
+                    this.cancelActivation(rule, newMatch, 'noLoop');
+                }
+            }
+        }
+        const duration = Date.now() - startedAt;
+        if (traceEntry) {
+            traceEntry.duration = duration;
+            if (failed) {
+                traceEntry.error = { name: error?.name, message: error?.message ?? String(error) };
+            }
+            this.executionTrace.push(traceEntry);
+        }
+
+        // A failed activation isn't retried for the same match either
+        this.firedHistory.add(signature);
+        if (this.runState) {
+            this.runState.fired++;
+        }
+        if (!failed) {
+            this.emit('rule:afterFire', { rule, match, cycle: this.cycleCount, duration });
+            return;
+        }
+
+        activation.error = error;
+        this.emit('rule:error', { rule, match, cycle: this.cycleCount, error });
+        if (this.onActionError === 'halt' && this.runState && !this.runState.reason) {
+            this.runState.reason = 'error';
+            this.runState.error = error;
+        }
+    }
+
+    /**
+     * Undo the working memory changes of a failed action, newest first.
+     * Logically inserted facts it retracted get their support back from the
+     * match with the same signature once everything else is undone.
+     */
+    rollback(changes) {
+        const { wmi } = this;
+        const unsupported = [];
+        for (let i = changes.length - 1; i >= 0; i--) {
+            const { inserted, updated, removed, data, recency, signature } = changes[i];
+            if (inserted) {
+                wmi.removeFact(inserted.id);
+            } else if (updated) {
+                wmi.revertFact(updated, data, recency);
             } else {
-                // Fire the rule without tracking
-                rule.action(match.facts, this, match.bindings);
+                wmi.reinsertFact(removed);
+                if (signature) {
+                    unsupported.push({ fact: removed, signature });
+                }
             }
+        }
+        this.relinkLogicalSupport(unsupported);
+    }
 
-            this.firedHistory.add(signature);
-            somethingFired = true;
+    /**
+     * Give logically inserted facts (`[{ fact, signature }]`) back their
+     * support from the current match with the same signature. Facts with no
+     * such match are retracted.
+     */
+    relinkLogicalSupport(unsupported) {
+        const { wmi } = this;
+        if (unsupported.length > 0) {
+            const matches = this.matchesBySignature();
+            for (const { fact, signature } of unsupported) {
+                const match = matches.get(signature) || {};
+                wmi.addLogicalSupport(fact, match, signature);
+                if (matches.has(signature)) {
+                    // The rule already fired for this match => don't insert the fact again
+                    this.firedHistory.add(signature);
+                } else {
+                    wmi.supportLost(match);
+                }
+            }
         }
-        return somethingFired;
+        this.retractUnsupportedFacts();
     }
 
     getExecutionTrace() {
@@ -222,4 +1172,39 @@ export class RulesEngine {
     clearExecutionTrace() {
         this.executionTrace = [];
     }
+
+    /**
+     * The execution trace as JSON Lines, one firing per line. Pass
+     * `{ timings: false }` to leave out timestamps and durations, so traces of
+     * different runs can be diffed.
+     */
+    exportExecutionTrace({ timings = true } = {}) {
+        return this.executionTrace
+            .map(entry => {
+                if (timings) return JSON.stringify(entry);
+                const { timestamp, duration, ...rest } = entry;
+                return JSON.stringify(rest);
+            })
+            .map(line => line + '\n')
+            .join('');
+    }
+}
+
+// Facts are recorded by id, so a trace doesn't hold on to live fact objects
+function serializeBindings(bindings) {
+    const serialized = {};
+    for (const [name, value] of Object.entries(bindings)) {
+        serialized[name] = serializeBinding(value);
+    }
+    return serialized;
+}
+
+function serializeBinding(value) {
+    if (value instanceof Fact) return { factId: value.id };
+    if (Array.isArray(value)) return value.map(serializeBinding);
+    return value;
+}
+
+function sharesFacts(a, b) {
+    return a.facts.some(fact => b.facts.includes(fact));
 }
@@ -0,0 +1,351 @@
+import { compileWhere } from './where.js';
+
+/**
+ * Checks rule definitions before they are compiled. Each problem is reported
+ * as `{ path, message }`, where `path` is the JSON path of the offending
+ * value, e.g. `$.conditions.all[1].exist`.
+ */
+
+const RULE_KEYS = [
+    'name', 'conditions', 'action', 'salience', 'agendaGroup', 'activationGroup', 'noLoop', 'lockOnActive',
+    'produces', 'modifies'
+];
+const COMPOSITE_KEYS = ['all', 'any', 'not', 'exists'];
+const PATTERN_KEYS = ['type', 'var', 'test', 'where', 'join', 'accumulate', 'groupBy', 'groupVar'];
+const CONDITION_KEYS = [...COMPOSITE_KEYS, ...PATTERN_KEYS];
+const ACCUMULATE_KEYS = ['initial', 'reduce', 'retract', 'convert', 'test'];
+
+/**
+ * Return the problems of a single rule definition (an empty list if it is valid).
+ */
+export function validateRule(ruleDef) {
+    const problems = [];
+    const report = (path, message) => problems.push({ path, message });
+
+    if (!isPlainObject(ruleDef)) {
+        report('$', 'A rule must be an object.');
+        return problems;
+    }
+    checkKeys(ruleDef, RULE_KEYS, RULE_KEYS, '$', report);
+
+    if (typeof ruleDef.name !== 'string' || ruleDef.name === '') {
+        report('$.name', "A rule needs a 'name' string.");
+    }
+    if (typeof ruleDef.action !== 'function') {
+        report('$.action', "A rule needs an 'action' function.");
+    }
+    checkType(ruleDef, 'salience', 'number', '$', report);
+    checkType(ruleDef, 'agendaGroup', 'string', '$', report);
+    checkType(ruleDef, 'activationGroup', 'string', '$', report);
+    checkType(ruleDef, 'noLoop', 'boolean', '$', report);
+    checkType(ruleDef, 'lockOnActive', 'boolean', '$', report);
+    for (const key of ['produces', 'modifies']) {
+        const types = ruleDef[key];
+        if (types !== undefined && !(Array.isArray(types) && types.every(type => typeof type === 'string'))) {
+            report(`$.${key}`, `'${key}' must be an array of fact types.`);
+        }
+    }
+
+    if (ruleDef.conditions === undefined) {
+        report('$.conditions', "A rule needs 'conditions'.");
+    } else {
+        validateCondition(ruleDef.conditions, '$.conditions', new Set(), false, report);
+    }
+    return problems;
+}
+
+/**
+ * Return the problems of a list of rule definitions, e.g. the contents of a
+ * rule file, with paths starting at the index of the rule.
+ */
+export function validateRules(ruleDefs) {
+    if (!Array.isArray(ruleDefs)) {
+        return [{ path: '$', message: 'Expected an array of rules.' }];
+    }
+    const problems = [];
+    const names = new Map(); // name -> index of the first rule with that name
+    ruleDefs.forEach((ruleDef, i) => {
+        for (const { path, message } of validateRule(ruleDef)) {
+            problems.push({ path: `$[${i}]${path.slice(1)}`, message });
+        }
+        const name = ruleDef?.name;
+        if (typeof name !== 'string') return;
+        if (names.has(name)) {
+            problems.push({ path: `$[${i}].name`, message: `Rule "${name}" is already defined at $[${names.get(name)}].` });
+        } else {
+            names.set(name, i);
+        }
+    });
+    return problems;
+}
+
+/**
+ * Throw an error listing every problem of `ruleDef`, if it has any.
+ */
+export function assertValidRule(ruleDef) {
+    const problems = validateRule(ruleDef);
+    if (problems.length === 0) return;
+
+    const name = typeof ruleDef?.name === 'string' ? ` "${ruleDef.name}"` : '';
+    const lines = problems.map(({ path, message }) => `  ${path}: ${message}`);
+    const error = new Error(`Invalid DSL in rule${name}:\n${lines.join('\n')}`);
+    error.problems = problems;
+    throw error;
+}
+
+/**
+ * `bound` holds the variables an `$ref` or `join` may refer to: those bound
+ * earlier in the enclosing 'all' chain (which the body of a `not`/`exists`
+ * continues). `inAll` is set for the elements of such a chain.
+ */
+function validateCondition(condition, path, bound, inAll, report) {
+    if (!isPlainObject(condition)) {
+        report(path, 'A condition must be an object.');
+        return;
+    }
+    const has = key => condition[key] !== undefined;
+    const composites = COMPOSITE_KEYS.filter(has);
+
+    if (composites.length > 0) {
+        if (has('type')) {
+            report(path, "A condition cannot have both 'type' and composite fields like 'all', 'any', 'not', or 'exists'.");
+        } else if (has('test')) {
+            report(path, "A condition cannot have both 'test' and composite fields.");
+        } else if (composites.length > 1) {
+            report(path, `A condition can only have one of 'all', 'any', 'not' and 'exists', but has ${quoteList(composites)}.`);
+        } else {
+            checkKeys(condition, composites, CONDITION_KEYS, path, report, `a '${composites[0]}' condition`);
+            validateComposite(condition, composites[0], path, bound, report);
+        }
+    } else if (has('type')) {
+        validatePattern(condition, path, bound, inAll, report);
+    } else if (has('test')) {
+        validateBetaTest(condition, path, report);
+    } else if (checkKeys(condition, [], CONDITION_KEYS, path, report, 'a condition') === 0) {
+        report(path, "A condition needs 'type', 'test', 'all', 'any', 'not' or 'exists'.");
+    }
+}
+
+function validateComposite(condition, key, path, bound, report) {
+    const value = condition[key];
+    const valuePath = `${path}.${key}`;
+
+    if (key === 'all' || key === 'any') {
+        if (!Array.isArray(value)) {
+            report(valuePath, `'${key}' must be an array of conditions.`);
+        } else if (key === 'all') {
+            // A nested 'all' starts a chain of its own
+            validateChain(value, valuePath, new Set(), report);
+        } else {
+            value.forEach((c, i) => validateCondition(c, `${valuePath}[${i}]`, new Set(), false, report));
+        }
+        return;
+    }
+
+    // not/exists: the body continues the enclosing chain, and its bindings don't escape it
+    if (Array.isArray(value)) {
+        report(valuePath, `'${key}' takes a single condition; use { all: [...] } for several.`);
+    } else if (isPlainObject(value) && Array.isArray(value.all) && Object.keys(value).length === 1) {
+        validateChain(value.all, `${valuePath}.all`, new Set(bound), report);
+    } else {
+        validateCondition(value, valuePath, new Set(bound), true, report);
+    }
+}
+
+function validateChain(conditions, path, bound, report) {
+    conditions.forEach((c, i) => {
+        validateCondition(c, `${path}[${i}]`, bound, true, report);
+        declareVariables(c, bound);
+    });
+}
+
+function validatePattern(condition, path, bound, inAll, report) {
+    checkKeys(condition, PATTERN_KEYS, CONDITION_KEYS, path, report, 'a pattern');
+    const { type, accumulate } = condition;
+    if (typeof type !== 'string' || type === '') {
+        report(`${path}.type`, "'type' must be a non-empty string.");
+    }
+    checkType(condition, 'var', 'string', path, report);
+    checkType(condition, 'test', 'function', path, report);
+
+    if (condition.where !== undefined) {
+        let constraints = [];
+        try {
+            constraints = compileWhere(condition.where, type);
+        } catch (error) {
+            report(`${path}.where`, error.message.replace(/^Invalid DSL: /, ''));
+        }
+        for (const { path: attribute, op, ref } of constraints) {
+            if (ref === undefined) continue;
+            const refPath = pathOf(`${path}.where`, attribute);
+            checkBound(type, ref, bound, refPath, report);
+            if (accumulate !== undefined && op !== '$eq') {
+                report(refPath, `The accumulator on type "${type}" can only use '$ref' for equality in 'where'.`);
+            }
+        }
+    }
+
+    if (condition.join !== undefined) {
+        if (!inAll) {
+            report(`${path}.join`, "'join' is only supported on a pattern inside 'all'.");
+        } else if (!isPlainObject(condition.join)) {
+            report(`${path}.join`, "'join' must be an object of attribute: 'variable.path' pairs.");
+        } else {
+            for (const [attribute, ref] of Object.entries(condition.join)) {
+                const refPath = pathOf(`${path}.join`, attribute);
+                if (typeof ref !== 'string') {
+                    report(refPath, "A 'join' value must be a 'variable.path' string.");
+                } else {
+                    checkBound(type, ref, bound, refPath, report);
+                }
+            }
+        }
+    }
+
+    if (accumulate !== undefined) {
+        validateAccumulate(accumulate, `${path}.accumulate`, report);
+    }
+    if (condition.groupBy !== undefined) {
+        if (accumulate === undefined) {
+            report(`${path}.groupBy`, "'groupBy' can only be used together with 'accumulate'.");
+        } else if (typeof condition.groupBy !== 'string' && typeof condition.groupBy !== 'function') {
+            report(`${path}.groupBy`, "'groupBy' must be an attribute path or a function.");
+        }
+    }
+    if (condition.groupVar !== undefined) {
+        if (condition.groupBy === undefined) {
+            report(`${path}.groupVar`, "'groupVar' can only be used together with 'groupBy'.");
+        } else {
+            checkType(condition, 'groupVar', 'string', path, report);
+        }
+    }
+}
+
+function validateAccumulate(accumulate, path, report) {
+    if (!isPlainObject(accumulate)) {
+        report(path, "'accumulate' must be an object with 'initial' and 'reduce' functions.");
+        return;
+    }
+    checkKeys(accumulate, ACCUMULATE_KEYS, ACCUMULATE_KEYS, path, report);
+    for (const key of ['initial', 'reduce']) {
+        if (typeof accumulate[key] !== 'function') {
+            report(`${path}.${key}`, `An accumulator needs a function for '${key}'.`);
+        }
+    }
+    for (const key of ['retract', 'convert', 'test']) {
+        checkType(accumulate, key, 'function', path, report);
+    }
+}
+
+function validateBetaTest(condition, path, report) {
+    if (typeof condition.test !== 'function') {
+        report(`${path}.test`, "'test' must be a function.");
+    }
+    if (condition.var !== undefined) {
+        report(`${path}.var`, "'var' can't be used on a bare 'test', which doesn't match a fact. Add a 'type' to bind one.");
+    }
+    if (condition.join !== undefined) {
+        report(`${path}.join`, "'join' requires a 'type' pattern.");
+    }
+    checkKeys(condition, ['test', 'var', 'join'], CONDITION_KEYS, path, report, "a bare 'test'");
+}
+
+function checkBound(type, ref, bound, path, report) {
+    const varName = ref.split('.')[0];
+    if (!bound.has(varName)) {
+        report(path,
+            `The pattern on type "${type}" references variable "${varName}", ` +
+            "which is not bound by an earlier condition in the same 'all'.");
+    }
+}
+
+// The variables a condition of an 'all' chain binds for the conditions after it
+// A variable bound in only some branches of an `any` is not bound after it
+function declareVariables(condition, bound) {
+    if (!isPlainObject(condition)) return;
+    if (typeof condition.var === 'string' && condition.type) {
+        bound.add(condition.var);
+    }
+    if (condition.accumulate && condition.groupBy) {
+        bound.add(condition.groupVar || 'groupKey');
+    }
+    if (Array.isArray(condition.all)) {
+        condition.all.forEach(c => declareVariables(c, bound));
+    } else if (Array.isArray(condition.any) && condition.any.length > 0) {
+        const branches = condition.any.map(c => {
+            const branchBound = new Set();
+            declareVariables(c, branchBound);
+            return branchBound;
+        });
+        for (const name of branches[0]) {
+            if (branches.every(branchBound => branchBound.has(name))) bound.add(name);
+        }
+    }
+}
+
+/**
+ * Report the keys of `object` that aren't `allowed`: keys from `vocabulary`
+ * are misplaced, others are suggested the closest key of `vocabulary`.
+ * Returns the number of keys reported.
+ */
+function checkKeys(object, allowed, vocabulary, path, report, where = null) {
+    let count = 0;
+    for (const key of Object.keys(object)) {
+        if (allowed.includes(key) || object[key] === undefined) continue;
+        count++;
+        if (where && vocabulary.includes(key)) {
+            report(pathOf(path, key), `"${key}" can't be used on ${where}.`);
+            continue;
+        }
+        const suggestion = closest(key, vocabulary);
+        report(pathOf(path, key), `Unknown key "${key}".${suggestion ? ` Did you mean "${suggestion}"?` : ''}`);
+    }
+    return count;
+}
+
+function checkType(object, key, type, path, report) {
+    if (object[key] !== undefined && typeof object[key] !== type) {
+        report(pathOf(path, key), `'${key}' must be a ${type}.`);
+    }
+}
+
+function closest(key, vocabulary) {
+    let best = null;
+    let bestDistance = 3;
+    for (const word of vocabulary) {
+        const distance = editDistance(key.toLowerCase(), word.toLowerCase());
+        if (distance < bestDistance && distance < key.length) {
+            best = word;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function pathOf(path, key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function quoteList(keys) {
+    return keys.map(key => `'${key}'`).join(' and ');
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,140 @@
+import { Fact } from './fact.js';
+
+/**
+ * Declarative attribute constraints, e.g.
+ *
+ *   {
+ *     intersectionId: 'I-5',
+ *     speed: { $gte: 30, $lt: 50 },
+ *     location: { zone: 'A' },              // same as 'location.zone': 'A'
+ *     plate: { $regex: '^EMS-', $flags: 'i' },
+ *     driverName: { $ref: 'd.name' }        // a variable bound by an earlier pattern
+ *   }
+ *
+ * A key is an attribute path. A plain value means equality, an object whose
+ * keys all start with '$' holds operators, and any other object holds
+ * constraints on nested attributes. Unlike test functions, constraints are
+ * plain data: they can be stored, indexed and analyzed.
+ */
+const OPERATORS = {
+    $eq: (actual, expected) => actual === expected,
+    $ne: (actual, expected) => actual !== expected,
+    $gt: (actual, expected) => compare(actual, expected) > 0,
+    $gte: (actual, expected) => compare(actual, expected) >= 0,
+    $lt: (actual, expected) => compare(actual, expected) < 0,
+    $lte: (actual, expected) => compare(actual, expected) <= 0,
+    $in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+    $nin: (actual, expected) => Array.isArray(expected) && !expected.includes(actual),
+    $regex: (actual, expected) =>
+        typeof actual === 'string' && (expected instanceof RegExp ? expected : toRegExp(expected)).test(actual),
+    $exists: (actual, expected) => (actual !== undefined) === Boolean(expected)
+};
+
+/**
+ * Turn a `where` object into a list of `{ path, op, value }` constraints.
+ * A value given as `{ $ref: 'var.path' }` becomes `ref: 'var.path'` instead.
+ */
+export function compileWhere(where, type, prefix = '') {
+    if (!isPlainObject(where)) {
+        throw new Error(`Invalid DSL: 'where' on type "${type}" must be an object.`);
+    }
+
+    const constraints = [];
+    for (const [key, expected] of Object.entries(where)) {
+        const path = prefix + key;
+        if (!isPlainObject(expected) || isRef(expected)) {
+            constraints.push(constraint(path, '$eq', expected));
+            continue;
+        }
+
+        const keys = Object.keys(expected);
+        const operators = keys.filter(k => k.startsWith('$'));
+        if (operators.length === 0) {
+            constraints.push(...compileWhere(expected, type, `${path}.`));
+            continue;
+        }
+        if (operators.length !== keys.length) {
+            throw new Error(
+                `Invalid DSL: "${path}" in 'where' on type "${type}" mixes operators with nested attributes.`
+            );
+        }
+        for (const op of operators) {
+            if (op === '$flags') continue;
+            if (!OPERATORS[op]) {
+                throw new Error(`Invalid DSL: Unknown operator "${op}" for "${path}" in 'where' on type "${type}".`);
+            }
+            let value = expected[op];
+            if (op === '$regex' && !isRef(value)) {
+                value = toRegExp(value, expected.$flags);
+            }
+            constraints.push(constraint(path, op, value));
+        }
+    }
+    return constraints;
+}
+
+/**
+ * Check fact data against constraints. Constraints with a `ref` read their
+ * value from `bindings`, and fail if the variable isn't bound.
+ */
+export function matchesConstraints(data, constraints, bindings = {}) {
+    for (const { path, op, value, ref } of constraints) {
+        let expected = value;
+        if (ref !== undefined) {
+            const [varName, ...refPath] = ref.split('.');
+            const bound = bindings[varName];
+            if (bound === undefined) return false;
+            expected = readPath(bound instanceof Fact ? bound.data : bound, refPath);
+        }
+        if (!OPERATORS[op](readPath(data, path.split('.')), expected)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * The inverse of compileWhere: constraints as a `where` object with dotted paths.
+ */
+export function describeConstraints(constraints) {
+    const where = {};
+    for (const { path, op, value, ref } of constraints) {
+        where[path] = where[path] || {};
+        where[path][op] = ref !== undefined ? { $ref: ref } : value;
+    }
+    return where;
+}
+
+export function readPath(value, path) {
+    return path.reduce((v, key) => (v == null ? undefined : v[key]), value);
+}
+
+function constraint(path, op, value) {
+    return isRef(value) ? { path, op, ref: String(value.$ref) } : { path, op, value };
+}
+
+function isRef(value) {
+    return isPlainObject(value) && Object.keys(value).length === 1 && '$ref' in value;
+}
+
+// Ordering only applies to two numbers, two strings or two dates; anything else never matches
+function compare(a, b) {
+    if (a instanceof Date && b instanceof Date) {
+        return compare(a.getTime(), b.getTime());
+    }
+    if (typeof a !== typeof b || (typeof a !== 'number' && typeof a !== 'string')) {
+        return NaN;
+    }
+    return a < b ? -1 : a > b ? 1 : a === b ? 0 : NaN;
+}
+
+// Stateful flags would make repeated tests depend on each other
+function toRegExp(pattern, flags = '') {
+    const source = pattern instanceof RegExp ? pattern.source : String(pattern);
+    const allFlags = (pattern instanceof RegExp ? pattern.flags : '') + flags;
+    return new RegExp(source, [...new Set(allFlags.replace(/[gy]/g, ''))].join(''));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
@@ -1,9 +1,55 @@
+import { randomUUID } from 'node:crypto';
+import { HashIndex, SortedIndex } from './indexes.js';
+
+const ID_GENERATORS = ['sequential', 'uuid'];
+
 export class WorkingMemoryIndexer {
-    constructor() {
-        this.typeIndex = new Map();  // type -> Set of facts
-        this.versionCounter = 1;     // increments on each insert/update, used for recency
-        this.dirtyTypesCurrentCycle = new Set();
-        this.dirtyTypesNextCycle = new Set();
+    /**
+     * `idGenerator` is 'sequential' (0, 1, 2, ...), 'uuid', or a function that
+     * returns the id of a fact from its data (e.g. `data => data.sku`).
+     */
+    constructor({ idGenerator = 'sequential' } = {}) {
+        if (typeof idGenerator !== 'function' && !ID_GENERATORS.includes(idGenerator)) {
+            throw new Error(
+                `Unknown idGenerator "${idGenerator}". Expected ${ID_GENERATORS.join(', ')} or a function.`
+            );
+        }
+        this.idGenerator = idGenerator;
+        this.nextFactId = 0;             // next id handed out by the 'sequential' generator
+        this.typeIndex = new Map();      // type -> Set of facts
+        this.factsById = new Map();      // id -> fact
+        this.indexes = new Map();        // type -> secondary indexes (see createIndex)
+        this.versionCounter = 1;         // increments on each insert/update, used for recency
+        this.alphaNodes = new Map();     // type -> Set of AlphaNodes fed by this memory
+        this.nodeMemories = new Map();   // node -> that node's memory
+        this.connectedNodes = new Map(); // node -> number of rules using it (see connectNode)
+        this.pendingNodes = new Set();   // nodes with deferred output (accumulators, not/exists)
+        this.logicalSupport = new Map(); // match -> { signature, facts } it logically inserted
+        this.justifications = new Map(); // logically inserted fact -> supporting match
+        this.lostSupport = [];           // matches retracted while supporting facts
+        this.listener = null;            // notified of fact and match changes (see RulesEngine)
+        this.notifications = null;       // listener calls held back until the current change is done
+    }
+
+    /**
+     * Return the id for a new fact with the given data.
+     */
+    allocateFactId(data) {
+        if (this.idGenerator === 'sequential') {
+            return this.nextFactId++;
+        }
+        if (this.idGenerator === 'uuid') {
+            return randomUUID();
+        }
+
+        const id = this.idGenerator(data);
+        if (id === undefined || id === null) {
+            throw new Error(`idGenerator returned no id for a fact of type "${data.type}"`);
+        }
+        if (this.factsById.has(id)) {
+            throw new Error(`A fact with ID ${id} already exists`);
+        }
+        return id;
     }
 
     /**
@@ -11,22 +57,41 @@ export class WorkingMemoryIndexer {
      */
     insertFact(fact) {
         fact.recency = this.versionCounter++;
+        this.reinsertFact(fact);
+    }
+
+    /**
+     * Insert a fact keeping the recency it already has (a removed fact that
+     * is put back, or an imported one).
+     */
+    reinsertFact(fact) {
+        this.notifyAfter(() => {
+            this.indexFact(fact);
+            this._notify('factInserted', fact);
+            this._assertToAlphaNodes(fact);
+        });
+    }
+
+    /**
+     * Add a fact to the type index as it is, without assigning recency or
+     * passing it to the alpha nodes (used when rebuilding working memory).
+     */
+    indexFact(fact) {
         let typeSet = this.typeIndex.get(fact.data.type);
         if (!typeSet) {
             typeSet = new Set();
             this.typeIndex.set(fact.data.type, typeSet);
         }
         typeSet.add(fact);
-
-        // Mark newly inserted fact's type as dirty for the *next* cycle
-        this.dirtyTypesNextCycle.add(fact.data.type);
+        this.factsById.set(fact.id, fact);
+        this._addToIndexes(fact);
     }
 
     /**
-     * Update an existing fact in working memory.
+     * Update an existing fact in working memory. Returns the fact.
      */
     updateFact(factId, newData) {
-        const fact = this._findFactById(factId);
+        let fact = this.factsById.get(factId);
         if (!fact) {
             throw new Error(`updateFact: No fact found with ID ${factId}`);
         }
@@ -39,35 +104,211 @@ export class WorkingMemoryIndexer {
             );
         }
 
-        // Merge the newData
-        Object.assign(fact.data, newData);
+        this.notifyAfter(() => {
+            // Retract while the old data is still in place, then re-assert
+            this._retractFromAlphaNodes(fact);
+            this._removeFromIndexes(fact);
 
-        // Bump recency
-        fact.recency = this.versionCounter++;
+            // Merge the newData
+            const previous = { ...fact.data };
+            const previousRecency = fact.recency;
+            Object.assign(fact.data, newData);
+
+            // Bump recency
+            fact.recency = this.versionCounter++;
+
+            this._addToIndexes(fact);
+            this._notify('factUpdated', fact, previous, previousRecency);
+            this._assertToAlphaNodes(fact);
+        });
+        return fact;
+    }
+
+    /**
+     * Give a fact back the data and recency it had before an update.
+     */
+    revertFact(fact, data, recency) {
+        this.notifyAfter(() => {
+            this._retractFromAlphaNodes(fact);
+            this._removeFromIndexes(fact);
+            const previous = { ...fact.data };
+            const previousRecency = fact.recency;
+            for (const key of Object.keys(fact.data)) {
+                delete fact.data[key];
+            }
+            Object.assign(fact.data, data);
+            fact.recency = recency;
 
-        // Mark dirty
-        this.dirtyTypesNextCycle.add(fact.data.type);
+            this._addToIndexes(fact);
+            this._notify('factUpdated', fact, previous, previousRecency);
+            this._assertToAlphaNodes(fact);
+        });
     }
 
     /**
-     * Remove a fact from working memory by ID.
+     * Remove a fact from working memory by ID. Returns the removed fact.
      */
     removeFact(factId) {
-        const fact = this._findFactById(factId);
+        const fact = this.factsById.get(factId);
         if (!fact) {
             throw new Error(`removeFact: No fact found with ID ${factId}`);
         }
 
-        const typeSet = this.typeIndex.get(fact.data.type);
-        if (typeSet) {
-            typeSet.delete(fact);
-            if (typeSet.size === 0) {
-                this.typeIndex.delete(fact.data.type);
+        this.notifyAfter(() => {
+            const typeSet = this.typeIndex.get(fact.data.type);
+            if (typeSet) {
+                typeSet.delete(fact);
+                if (typeSet.size === 0) {
+                    this.typeIndex.delete(fact.data.type);
+                }
+            }
+            this.factsById.delete(factId);
+            this._removeFromIndexes(fact);
+
+            // A logically inserted fact that is removed explicitly no longer needs support
+            const match = this.justifications.get(fact);
+            const support = this.logicalSupport.get(match);
+            if (match) {
+                this.justifications.delete(fact);
+                support?.facts.delete(fact);
+            }
+
+            this._notify('factRemoved', fact, support?.signature);
+            this._retractFromAlphaNodes(fact);
+        });
+        return fact;
+    }
+
+    /**
+     * Record that `fact` was logically inserted by the firing of `match`, so
+     * it can be retracted once that match no longer holds.
+     */
+    addLogicalSupport(fact, match, signature) {
+        let support = this.logicalSupport.get(match);
+        if (!support) {
+            support = { signature, facts: new Set() };
+            this.logicalSupport.set(match, support);
+        }
+        support.facts.add(fact);
+        this.justifications.set(fact, match);
+    }
+
+    /**
+     * Called by terminal nodes when a rule gains a match.
+     */
+    matchAsserted(terminalNode, match) {
+        this._notify('matchAsserted', terminalNode.rule, match);
+    }
+
+    /**
+     * Called by terminal nodes when a rule's match is retracted.
+     */
+    matchRetracted(terminalNode, match) {
+        this.supportLost(match);
+        this._notify('matchRetracted', terminalNode.rule, match);
+    }
+
+    /**
+     * Make `change` to working memory or the network, and only then tell the
+     * listener what it did, in order. A listener that throws then can't leave
+     * facts in working memory that never reached the network.
+     */
+    notifyAfter(change) {
+        if (this.notifications) return change();
+        this.notifications = [];
+        try {
+            return change();
+        } finally {
+            const notifications = this.notifications;
+            this.notifications = null;
+            for (const [method, ...args] of notifications) {
+                this.listener?.[method](...args);
+            }
+        }
+    }
+
+    _notify(method, ...args) {
+        if (this.notifications) {
+            this.notifications.push([method, ...args]);
+        } else {
+            this.listener?.[method](...args);
+        }
+    }
+
+    /**
+     * Queue the facts logically inserted by `match` (if any) for retraction.
+     */
+    supportLost(match) {
+        if (this.logicalSupport.has(match)) {
+            this.lostSupport.push(match);
+        }
+    }
+
+    /**
+     * Return the fact with the given ID, or undefined.
+     */
+    getFact(factId) {
+        return this.factsById.get(factId);
+    }
+
+    /**
+     * Index the facts of `type` by one attribute, or by several (compound).
+     * A `sorted` index is on a single attribute and also answers range
+     * constraints. Creating an index that already exists does nothing.
+     */
+    createIndex(type, attributes, { sorted = false } = {}) {
+        const paths = Array.isArray(attributes) ? attributes : [attributes];
+        if (paths.length === 0 || !paths.every(path => typeof path === 'string' && path)) {
+            throw new Error(`createIndex: Expected an attribute name or an array of them for type "${type}"`);
+        }
+        if (sorted && paths.length > 1) {
+            throw new Error(`createIndex: A sorted index can only be on a single attribute (type "${type}")`);
+        }
+
+        let indexes = this.indexes.get(type);
+        if (!indexes) {
+            indexes = [];
+            this.indexes.set(type, indexes);
+        }
+        if (indexes.some(index => index.sorted === sorted && index.paths.join() === paths.join())) {
+            return;
+        }
+        const index = sorted ? new SortedIndex(paths[0]) : new HashIndex(paths);
+        for (const fact of this.typeIndex.get(type) || []) {
+            index.add(fact);
+        }
+        indexes.push(index);
+    }
+
+    /**
+     * The indexes created with createIndex(), as `[{ type, attributes, sorted }]`.
+     */
+    indexDefinitions() {
+        const definitions = [];
+        for (const [type, indexes] of this.indexes) {
+            for (const { paths, sorted } of indexes) {
+                definitions.push({ type, attributes: paths, sorted });
             }
         }
+        return definitions;
+    }
 
-        // Mark dirty
-        this.dirtyTypesNextCycle.add(fact.data.type);
+    /**
+     * Return the facts of `type` that may satisfy `constraints` (see where.js),
+     * using the index that narrows them down the most. They still have to be
+     * tested against the constraints.
+     */
+    candidates(type, constraints) {
+        let best = null;
+        if (constraints.length > 0) {
+            for (const index of this.indexes.get(type) || []) {
+                const facts = index.candidates(constraints);
+                if (facts && (!best || facts.length < best.length)) {
+                    best = facts;
+                }
+            }
+        }
+        return best || this.getByType(type);
     }
 
     /**
@@ -88,44 +329,112 @@ export class WorkingMemoryIndexer {
         return all;
     }
 
-    clearDirtyCurrentCycle() {
-        // Clears the types that were already dirty for the current cycle
-        this.dirtyTypesCurrentCycle.clear();
+    /**
+     * Connect an alpha node to this memory and seed it with the existing facts
+     * of its type.
+     */
+    registerAlphaNode(node) {
+        let nodes = this.alphaNodes.get(node.type);
+        if (!nodes) {
+            nodes = new Set();
+            this.alphaNodes.set(node.type, nodes);
+        }
+        nodes.add(node);
+
+        for (const fact of this.candidates(node.type, node.constraints)) {
+            node.assertFact(fact, this);
+        }
+    }
+
+    /**
+     * Count a node as used by one more rule of this memory's engine. Nodes
+     * are shared between engines (see RulesEngine#fork), so tokens are only
+     * passed on to the nodes connected here. Returns whether the node is new.
+     */
+    connectNode(node) {
+        const count = this.connectedNodes.get(node) || 0;
+        this.connectedNodes.set(node, count + 1);
+        return count === 0;
     }
 
-    promoteNextCycleDirty() {
-        // Move newly dirtied types into the current cycle set
-        for (const t of this.dirtyTypesNextCycle) {
-            this.dirtyTypesCurrentCycle.add(t);
+    /**
+     * The opposite of connectNode(): a node no rule uses anymore is released.
+     */
+    disconnectNode(node) {
+        const count = this.connectedNodes.get(node) - 1;
+        if (count > 0) {
+            this.connectedNodes.set(node, count);
+            return;
         }
-        this.dirtyTypesNextCycle.clear();
-     }
+        this.connectedNodes.delete(node);
+        this.releaseNode(node);
+    }
 
-     getDirtyTypesCurrentCycle() {
-        return Array.from(this.dirtyTypesCurrentCycle);
-     }
+    /**
+     * Forget everything held for a node that is no longer part of any rule.
+     */
+    releaseNode(node) {
+        const nodes = this.alphaNodes.get(node.type);
+        if (nodes && nodes.delete(node) && nodes.size === 0) {
+            this.alphaNodes.delete(node.type);
+        }
+        this.nodeMemories.delete(node);
+        this.pendingNodes.delete(node);
+    }
 
     /**
-     * Helper to check if a certain type is dirty.
+     * Return the memory held for a node, creating it on first access.
      */
-    isTypeDirty(type) {
-        return (
-            this.dirtyTypesCurrentCycle.has(type) ||
-                this.dirtyTypesNextCycle.has(type)
-        );
+    getNodeMemory(node) {
+        let memory = this.nodeMemories.get(node);
+        if (!memory) {
+            memory = node.createMemory();
+            this.nodeMemories.set(node, memory);
+        }
+        return memory;
+    }
+
+    markPending(node) {
+        this.pendingNodes.add(node);
     }
 
     /**
-     * Internal helper to find any fact by ID.
+     * Let nodes with deferred output emit it. Flushing a node may mark further
+     * nodes downstream as pending, so keep going until nothing is left.
      */
-    _findFactById(factId) {
-        for (const set of this.typeIndex.values()) {
-            for (const fact of set) {
-                if (fact.id === factId) {
-                    return fact;
+    flushPending() {
+        this.notifyAfter(() => {
+            while (this.pendingNodes.size > 0) {
+                const nodes = Array.from(this.pendingNodes);
+                this.pendingNodes.clear();
+                for (const node of nodes) {
+                    node.flush(this);
                 }
             }
+        });
+    }
+
+    _addToIndexes(fact) {
+        for (const index of this.indexes.get(fact.data.type) || []) {
+            index.add(fact);
+        }
+    }
+
+    _removeFromIndexes(fact) {
+        for (const index of this.indexes.get(fact.data.type) || []) {
+            index.delete(fact);
+        }
+    }
+
+    _assertToAlphaNodes(fact) {
+        for (const node of this.alphaNodes.get(fact.data.type) || []) {
+            node.assertFact(fact, this);
+        }
+    }
+
+    _retractFromAlphaNodes(fact) {
+        for (const node of this.alphaNodes.get(fact.data.type) || []) {
+            node.retractFact(fact, this);
         }
-        return null;
     }
 }
@@ -0,0 +1,186 @@
+import { RulesEngine } from '../index.js';
+
+describe('Action errors', () => {
+    const items = engine => engine.query('Item').execute().map(f => ({ ...f.data }));
+
+    // Inserts, updates and removes facts, then fails
+    const addFailingRule = engine => engine.addRule({
+        name: 'Checkout',
+        salience: 10,
+        conditions: { var: 'c', type: 'Cart' },
+        action: (facts, eng) => {
+            const [a, b] = eng.query('Item').execute();
+            eng.addFact({ type: 'Item', id: 'c', price: 3 });
+            eng.updateFact(a.id, { price: 100, discounted: true });
+            eng.removeFact(b.id);
+            throw new Error('payment declined');
+        }
+    });
+
+    const setup = options => {
+        const engine = new RulesEngine(options);
+        addFailingRule(engine);
+        engine.addFact({ type: 'Item', id: 'a', price: 1 });
+        engine.addFact({ type: 'Item', id: 'b', price: 2 });
+        engine.addFact({ type: 'Cart' });
+        return engine;
+    };
+
+    test('rolls back the changes of the failed action and rethrows by default', () => {
+        const engine = setup();
+        const before = items(engine);
+
+        expect(() => engine.run()).toThrow('payment declined');
+        expect(items(engine)).toEqual(before);
+    });
+
+    test('rolled back facts keep their recency', () => {
+        const engine = setup();
+        const recencies = () => engine.query('Item').execute().map(f => f.recency);
+        const before = recencies();
+
+        expect(() => engine.run()).toThrow();
+        expect(recencies()).toEqual(before);
+    });
+
+    test('rollback-and-continue fires the remaining activations', () => {
+        const engine = setup({ onActionError: 'rollback-and-continue' });
+        const fired = [];
+        engine.addRule({
+            name: 'Audit',
+            conditions: { type: 'Cart' },
+            action: () => fired.push('Audit')
+        });
+        const errors = [];
+        engine.on('rule:error', ({ rule, error }) => errors.push(`${rule.name}: ${error.message}`));
+
+        const result = engine.run();
+        expect(result).toEqual({ reason: 'stable', cycles: 1, fired: 2 });
+        expect(fired).toEqual(['Audit']);
+        expect(errors).toEqual(['Checkout: payment declined']);
+        expect(items(engine).map(i => i.id)).toEqual(['a', 'b']);
+    });
+
+    test('halt stops the run and reports the error', () => {
+        const engine = setup({ onActionError: 'halt' });
+        const fired = [];
+        engine.addRule({
+            name: 'Audit',
+            conditions: { type: 'Cart' },
+            action: () => fired.push('Audit')
+        });
+
+        const result = engine.run();
+        expect(result.reason).toBe('error');
+        expect(result.error.message).toBe('payment declined');
+        expect(fired).toEqual([]);
+        expect(items(engine).map(i => i.id)).toEqual(['a', 'b']);
+    });
+
+    test('the error is attached to the activation and its trace entry', () => {
+        const engine = setup({ onActionError: 'rollback-and-continue', trace: true });
+
+        engine.run();
+        const [entry] = engine.getExecutionTrace();
+        expect(entry.ruleName).toBe('Checkout');
+        expect(entry.error).toEqual({ name: 'Error', message: 'payment declined' });
+
+        engine.resetRefraction();
+        const agenda = engine.collectMatches();
+        engine.fireMatches(agenda);
+        expect(agenda[0].error.message).toBe('payment declined');
+    });
+
+    test('logical facts retracted by the failed action are restored with their support', () => {
+        const engine = new RulesEngine({ onActionError: 'rollback-and-continue' });
+        let alerts = 0;
+        engine.addRule({
+            name: 'HotSensorAlert',
+            conditions: { var: 's', type: 'Sensor', test: s => s.temperature > 100 },
+            action: (facts, eng, { s }) => {
+                alerts++;
+                eng.insertLogical({ type: 'Alert', sensorId: s.data.id });
+            }
+        });
+        engine.addRule({
+            name: 'Cooldown',
+            conditions: { type: 'Cooldown' },
+            action: () => {
+                const [sensor] = engine.query('Sensor').execute();
+                engine.updateFact(sensor.id, { temperature: 20 });
+                throw new Error('fan stuck');
+            }
+        });
+
+        const sensor = engine.addFact({ type: 'Sensor', id: 's1', temperature: 120 });
+        engine.run();
+        engine.addFact({ type: 'Cooldown' });
+        engine.run();
+
+        expect(engine.query('Alert').execute()).toHaveLength(1);
+        expect(alerts).toBe(1);
+
+        // The restored alert still depends on the sensor
+        engine.updateFact(sensor.id, { temperature: 20 });
+        expect(engine.query('Alert').execute()).toHaveLength(0);
+    });
+
+    test('an async action that rejects is rolled back', async () => {
+        const engine = new RulesEngine({ onActionError: 'rollback-and-continue' });
+        engine.addRule({
+            name: 'Reserve',
+            conditions: { var: 'o', type: 'Order' },
+            action: async (facts, eng, { o }) => {
+                eng.updateFact(o.id, { reserved: true });
+                await Promise.resolve();
+                eng.addFact({ type: 'Reservation' });
+                throw new Error('out of stock');
+            }
+        });
+        engine.addFact({ type: 'Order' });
+
+        const result = await engine.runAsync();
+        expect(result.reason).toBe('stable');
+        expect(engine.query('Order').execute()[0].data.reserved).toBeUndefined();
+        expect(engine.query('Reservation').execute()).toHaveLength(0);
+    });
+
+    test('actions failing with a falsy value still fail', async () => {
+        const engine = new RulesEngine();
+        engine.addRule({
+            name: 'Reserve',
+            conditions: { type: 'Order' },
+            action: (facts, eng) => {
+                eng.addFact({ type: 'Reservation' });
+                return Promise.reject();
+            }
+        });
+        engine.addFact({ type: 'Order' });
+        const fired = [];
+        engine.on('rule:afterFire', ({ rule }) => fired.push(rule.name));
+
+        await expect(engine.runAsync()).rejects.toBeUndefined();
+        expect(engine.query('Reservation').execute()).toHaveLength(0);
+        expect(fired).toEqual([]);
+
+        engine.replaceRule({
+            name: 'Reserve',
+            conditions: { type: 'Order' },
+            action: (facts, eng) => {
+                eng.addFact({ type: 'Reservation' });
+                throw null;
+            }
+        });
+        expect(() => engine.run()).toThrow();
+        expect(engine.query('Reservation').execute()).toHaveLength(0);
+    });
+
+    test('forks use the same policy', () => {
+        const fork = setup({ onActionError: 'halt' }).fork();
+        expect(fork.run().reason).toBe('error');
+    });
+
+    test('rejects an unknown policy', () => {
+        expect(() => new RulesEngine({ onActionError: 'ignore' })).toThrow(/Unknown onActionError policy "ignore"/);
+    });
+});
@@ -0,0 +1,95 @@
+import { RulesEngine } from '../index.js';
+
+describe('Agenda groups', () => {
+    let engine;
+    let fired;
+
+    const addRule = (name, agendaGroup, extra = {}) => engine.addRule({
+        name,
+        agendaGroup,
+        conditions: { type: 'Order' },
+        action: () => fired.push(name),
+        ...extra
+    });
+
+    beforeEach(() => {
+        engine = new RulesEngine();
+        fired = [];
+        engine.addFact({ type: 'Order', amount: 10 });
+    });
+
+    test('rules without a group belong to MAIN', () => {
+        addRule('Main');
+        addRule('Validate', 'validation');
+
+        engine.run();
+        expect(fired).toEqual(['Main']);
+        expect(engine.getFocus()).toBe('MAIN');
+    });
+
+    test('groups fire in focus stack order, then fall back to MAIN', () => {
+        addRule('Main');
+        addRule('Validate', 'validation');
+        addRule('Price', 'pricing');
+
+        engine.setFocus('pricing');
+        engine.setFocus('validation');
+        expect(engine.getFocusStack()).toEqual(['MAIN', 'pricing', 'validation']);
+
+        engine.run();
+        expect(fired).toEqual(['Validate', 'Price', 'Main']);
+        expect(engine.getFocusStack()).toEqual(['MAIN']);
+    });
+
+    test('setting focus to the focused group does not push it twice', () => {
+        engine.setFocus('validation');
+        engine.setFocus('validation');
+        expect(engine.getFocusStack()).toEqual(['MAIN', 'validation']);
+        expect(engine.popFocus()).toBe('validation');
+        expect(engine.popFocus()).toBe('MAIN');
+        expect(engine.getFocusStack()).toEqual(['MAIN']);
+    });
+
+    test('actions can move the focus, leaving the rest of the batch for later', () => {
+        addRule('Start', undefined, {
+            salience: 10,
+            action: (facts, eng) => {
+                fired.push('Start');
+                eng.setFocus('validation');
+            }
+        });
+        addRule('AfterStart');
+        addRule('Validate', 'validation');
+
+        engine.run();
+        expect(fired).toEqual(['Start', 'Validate', 'AfterStart']);
+    });
+
+    test('actions can pop the focus before the group is exhausted', () => {
+        addRule('Abort', 'validation', {
+            salience: 10,
+            action: (facts, eng) => {
+                fired.push('Abort');
+                eng.popFocus();
+            }
+        });
+        addRule('Validate', 'validation');
+
+        engine.setFocus('validation');
+        engine.run();
+        expect(fired).toEqual(['Abort']);
+
+        engine.setFocus('validation');
+        engine.run();
+        expect(fired).toEqual(['Abort', 'Validate']);
+    });
+
+    test('salience only orders activations within the focused group', () => {
+        addRule('Urgent', undefined, { salience: 100 });
+        addRule('Validate', 'validation');
+
+        engine.setFocus('validation');
+        engine.run();
+        expect(fired).toEqual(['Validate', 'Urgent']);
+    });
+});
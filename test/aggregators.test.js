@@ -182,4 +182,160 @@ describe('Aggregator Tests', () => {
         expect(accumulatorFireCount).toBe(2);
         expect(counts).toEqual([2, 4]);
     });
-});
\ No newline at end of file
+});
+describe('Grouped accumulators', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new RulesEngine();
+    });
+
+    it('should accumulate per left token when joined to an earlier pattern', () => {
+        engine.addFact({ type: 'Customer', id: 'c1' });
+        engine.addFact({ type: 'Customer', id: 'c2' });
+        engine.addFact({ type: 'Customer', id: 'c3' });
+        engine.addFact({ type: 'Order', customerId: 'c1', amount: 10 });
+        engine.addFact({ type: 'Order', customerId: 'c1', amount: 15 });
+        engine.addFact({ type: 'Order', customerId: 'c2', amount: 7 });
+
+        const totals = {};
+        engine.addRule({
+            name: 'customer-total',
+            conditions: {
+                all: [
+                    { var: 'c', type: 'Customer' },
+                    {
+                        type: 'Order',
+                        var: 'total',
+                        join: { customerId: 'c.id' },
+                        accumulate: incrementalSum('amount')
+                    }
+                ]
+            },
+            action: (facts, engine, { c, total }) => {
+                totals[c.data.id] = total;
+            }
+        });
+
+        engine.run();
+
+        expect(totals).toEqual({ c1: 25, c2: 7, c3: 0 });
+    });
+
+    it('should only re-fire the group whose facts changed', () => {
+        engine.addFact({ type: 'Customer', id: 'c1' });
+        engine.addFact({ type: 'Customer', id: 'c2' });
+        engine.addFact({ type: 'Order', customerId: 'c1', amount: 10 });
+        engine.addFact({ type: 'Order', customerId: 'c2', amount: 20 });
+
+        const firings = [];
+        engine.addRule({
+            name: 'customer-orders',
+            conditions: {
+                all: [
+                    { var: 'c', type: 'Customer' },
+                    {
+                        type: 'Order',
+                        var: 'count',
+                        join: { customerId: 'c.id' },
+                        accumulate: incrementalCount()
+                    }
+                ]
+            },
+            action: (facts, engine, { c, count }) => {
+                firings.push([c.data.id, count]);
+            }
+        });
+
+        engine.run();
+        engine.addFact({ type: 'Order', customerId: 'c2', amount: 5 });
+        engine.run();
+
+        expect(firings.slice(0, 2).sort()).toEqual([['c1', 1], ['c2', 1]]);
+        expect(firings.slice(2)).toEqual([['c2', 2]]);
+    });
+
+    it('should produce one match per groupBy key with the key bound', () => {
+        engine.addFact({ type: 'Order', region: 'EU', amount: 10 });
+        engine.addFact({ type: 'Order', region: 'US', amount: 30 });
+        engine.addFact({ type: 'Order', region: 'EU', amount: 5 });
+
+        const totals = {};
+        engine.addRule({
+            name: 'region-total',
+            conditions: {
+                type: 'Order',
+                var: 'total',
+                groupBy: 'region',
+                groupVar: 'region',
+                accumulate: incrementalSum('amount')
+            },
+            action: (facts, engine, { region, total }) => {
+                totals[region] = total;
+            }
+        });
+
+        engine.run();
+
+        expect(totals).toEqual({ EU: 15, US: 30 });
+    });
+
+    it('should test each group separately and drop groups without facts', () => {
+        const order = engine.addFact({ type: 'Order', region: 'EU', amount: 150 });
+        engine.addFact({ type: 'Order', region: 'US', amount: 30 });
+
+        engine.addRule({
+            name: 'big-regions',
+            conditions: {
+                type: 'Order',
+                var: 'total',
+                groupBy: order => order.region,
+                accumulate: {
+                    ...incrementalSum('amount'),
+                    test: total => total > 100
+                }
+            },
+            action: () => {}
+        });
+
+        const matches = engine.collectMatches();
+        expect(matches).toHaveLength(1);
+        expect(matches[0].match.bindings).toEqual({ total: 150, groupKey: 'EU' });
+
+        engine.removeFact(order.id);
+        expect(engine.collectMatches()).toHaveLength(0);
+    });
+
+    it('should combine groupBy with a join', () => {
+        engine.addFact({ type: 'Customer', id: 'c1' });
+        engine.addFact({ type: 'Order', customerId: 'c1', status: 'open', amount: 1 });
+        engine.addFact({ type: 'Order', customerId: 'c1', status: 'open', amount: 2 });
+        engine.addFact({ type: 'Order', customerId: 'c1', status: 'paid', amount: 4 });
+        engine.addFact({ type: 'Order', customerId: 'c2', status: 'open', amount: 8 });
+
+        const totals = [];
+        engine.addRule({
+            name: 'customer-status-total',
+            conditions: {
+                all: [
+                    { var: 'c', type: 'Customer' },
+                    {
+                        type: 'Order',
+                        var: 'total',
+                        join: { customerId: 'c.id' },
+                        groupBy: 'status',
+                        groupVar: 'status',
+                        accumulate: incrementalSum('amount')
+                    }
+                ]
+            },
+            action: (facts, engine, { c, status, total }) => {
+                totals.push([c.data.id, status, total]);
+            }
+        });
+
+        engine.run();
+
+        expect(totals.sort()).toEqual([['c1', 'open', 3], ['c1', 'paid', 4]]);
+    });
+});
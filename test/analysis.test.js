@@ -0,0 +1,120 @@
+import { RulesEngine } from '../index.js';
+
+describe('Rule set analysis', () => {
+    let engine;
+    const action = () => {};
+
+    beforeEach(() => {
+        engine = new RulesEngine();
+    });
+
+    test('an empty rule set has no findings', () => {
+        expect(engine.analyzeRules()).toEqual({
+            unreachable: [], contradictions: [], duplicates: [], loops: [], undeclaredEffects: []
+        });
+    });
+
+    test('rules needing a type nothing produces are unreachable', () => {
+        engine.loadRules(`
+            rule "Greet" when p: Person() then insert Greeting(to: p.name) end
+            rule "Send" when g: Greeting() then insert Letter(to: g.to) end
+            rule "Deliver" when l: Letter() Postman() then retract l end
+            rule "Lonely" when p: Person() not Friend(of == p.name) then insert Note(text: "lonely") end
+            rule "Either" when Unicorn() or Person() then end
+        `);
+
+        expect(engine.analyzeRules({ inputTypes: ['Person'] }).unreachable)
+            .toEqual([{ rule: 'Deliver', missingTypes: ['Postman'] }]);
+        expect(engine.analyzeRules().unreachable.map(u => u.rule))
+            .toEqual(['Greet', 'Send', 'Deliver', 'Lonely', 'Either']);
+
+        // Types in working memory count as produced
+        engine.addFact({ type: 'Person', name: 'Frodo' });
+        engine.addFact({ type: 'Postman', name: 'Pat' });
+        expect(engine.analyzeRules().unreachable).toEqual([]);
+    });
+
+    test('rules without declared effects are listed', () => {
+        engine.addRule({ name: 'Opaque', conditions: { type: 'Person' }, action });
+        engine.addRule({ name: 'Declared', conditions: { type: 'Person' }, action, produces: ['Greeting'] });
+        engine.loadRules('rule "Text" when Person() then end');
+        expect(engine.analyzeRules().undeclaredEffects).toEqual(['Opaque']);
+    });
+
+    test('contradictory where constraints', () => {
+        engine.addRule({
+            name: 'Impossible',
+            conditions: {
+                all: [
+                    { var: 'p', type: 'Person', where: { age: { $gt: 65, $lt: 18 }, name: { $exists: true } } },
+                    { not: { type: 'Pet', where: { kind: 'cat', owner: { $ref: 'p.name' }, 'kind.length': { $gte: 3 } } } },
+                    { type: 'Order', where: { status: { $in: ['open', 'paid'], $nin: ['open', 'paid'] } } }
+                ]
+            },
+            action
+        });
+        engine.loadRules(`
+            rule "Also" when Person(race == "Elf", race in ("Man", "Dwarf")) then end
+            rule "Fine" when Person(age >= 18, age <= 18, name != "Bob") then end
+            rule "Edge" when Person(age > 18, age <= 18) then end
+        `);
+        engine.addRule({ name: 'Kinds', conditions: { type: 'Reading', where: { value: { $gt: 1, $lt: 'z' } } }, action });
+        engine.addRule({ name: 'Missing', conditions: { type: 'Reading', where: { value: { $exists: false, $gte: 0 } } }, action });
+
+        expect(engine.analyzeRules().contradictions).toEqual([
+            { rule: 'Impossible', path: '$.conditions.all[0].where', type: 'Person', where: { age: { $gt: 65, $lt: 18 } } },
+            {
+                rule: 'Impossible',
+                path: '$.conditions.all[2].where',
+                type: 'Order',
+                where: { status: { $in: ['open', 'paid'], $nin: ['open', 'paid'] } }
+            },
+            { rule: 'Also', path: '$.conditions.where', type: 'Person', where: { race: { $eq: 'Elf', $in: ['Man', 'Dwarf'] } } },
+            { rule: 'Edge', path: '$.conditions.where', type: 'Person', where: { age: { $gt: 18, $lte: 18 } } },
+            { rule: 'Kinds', path: '$.conditions.where', type: 'Reading', where: { value: { $gt: 1, $lt: 'z' } } },
+            { rule: 'Missing', path: '$.conditions.where', type: 'Reading', where: { value: { $exists: false, $gte: 0 } } }
+        ]);
+    });
+
+    test('rules with the same conditions are duplicates', () => {
+        const adult = p => p.age >= 18;
+        engine.addRule({ name: 'A', conditions: { all: [{ var: 'p', type: 'Person', test: adult }, { type: 'Pet', join: { owner: 'p.name' } }] }, action });
+        engine.addRule({ name: 'B', conditions: { all: [{ var: 'x', type: 'Person', test: adult }, { type: 'Pet', join: { owner: 'x.name' } }] }, action });
+        engine.addRule({ name: 'C', conditions: { all: [{ var: 'x', type: 'Person', test: adult }, { type: 'Pet', join: { owner: 'x.id' } }] }, action });
+        engine.loadRules(`
+            rule "D" when p: Person(age >= 18, home.realm == "Shire") then end
+            rule "E" when q: Person(home.realm == "Shire", age >= 18) then end
+        `);
+        engine.addRule({ name: 'F', conditions: { var: 'p', type: 'Person', where: { home: { realm: 'Shire' }, age: { $gte: 18 } } }, action });
+
+        // Beta tests see bindings by name, so their variables must match too
+        engine.addRule({ name: 'G', conditions: { all: [{ var: 'p', type: 'Person' }, { test: (f, b) => b.p }] }, action });
+        engine.addRule({ name: 'H', conditions: { all: [{ var: 'q', type: 'Person' }, { test: (f, b) => b.p }] }, action });
+
+        expect(engine.analyzeRules().duplicates).toEqual([{ rules: ['A', 'B'] }, { rules: ['D', 'E', 'F'] }]);
+    });
+
+    test('rules that activate each other can loop', () => {
+        engine.loadRules(`
+            rule "Raise" when e: Employee(salary < 1000) b: Budget() then modify b(left: b.left - 10) end
+            rule "Refill" when b: Budget(left < 100) e: Employee() then modify e(salary: e.salary + 1) end
+            rule "Count" when o: Order() then insert Order(copy: true) end
+            rule "Touch" no-loop when o: Order() then modify o(seen: true) end
+            rule "Once" when p: Person() not Greeting(to == p.name) then insert Greeting(to: p.name) end
+            rule "Audit" when g: Greeting() then insert Audit(of: g.to) end
+        `);
+
+        expect(engine.analyzeRules().loops).toEqual([
+            { rules: ['Raise'], via: { Raise: ['Budget'] } },
+            { rules: ['Raise', 'Refill'], via: { Raise: ['Budget'], Refill: ['Employee'] } },
+            { rules: ['Refill'], via: { Refill: ['Employee'] } },
+            { rules: ['Count'], via: { Count: ['Order'] } },
+            { rules: ['Count', 'Touch'], via: { Count: ['Order'], Touch: ['Order'] } }
+        ]);
+    });
+
+    test('produces and modifies are checked', () => {
+        expect(() => engine.addRule({ name: 'Bad', conditions: { type: 'A' }, action, produces: 'B' }))
+            .toThrow("$.produces: 'produces' must be an array of fact types.");
+    });
+});
@@ -0,0 +1,124 @@
+import { jest } from '@jest/globals';
+import { RulesEngine } from '../index.js';
+
+describe('Incremental beta memories', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new RulesEngine();
+    });
+
+    test('updating one fact only re-joins the tokens it participates in', () => {
+        const people = [];
+        for (let i = 0; i < 10; i++) {
+            people.push(engine.addFact({ type: 'Person', name: `P${i}` }));
+        }
+        for (let i = 0; i < 10; i++) {
+            engine.addFact({ type: 'Event', personName: `P${i}` });
+        }
+
+        const betaTest = jest.fn((facts, { p, e }) => e.data.personName === p.data.name);
+        const actionSpy = jest.fn();
+
+        engine.addRule({
+            name: 'PersonEvent',
+            conditions: {
+                all: [
+                    { var: 'p', type: 'Person' },
+                    { var: 'e', type: 'Event' },
+                    { test: betaTest }
+                ]
+            },
+            action: actionSpy
+        });
+
+        engine.run();
+        expect(actionSpy).toHaveBeenCalledTimes(10);
+        expect(betaTest).toHaveBeenCalledTimes(100);
+
+        betaTest.mockClear();
+        engine.updateFact(people[3].id, { name: 'P3-renamed' });
+        engine.run();
+
+        // Only the 10 pairs involving the updated person are re-tested
+        expect(betaTest).toHaveBeenCalledTimes(10);
+        expect(actionSpy).toHaveBeenCalledTimes(10);
+    });
+
+    test('alpha tests run once per fact change, not once per cycle', () => {
+        const alphaTest = jest.fn(() => true);
+
+        engine.addRule({
+            name: 'Chain',
+            conditions: { type: 'Step', test: alphaTest },
+            action: (facts, eng) => {
+                if (facts[0].data.n < 3) {
+                    eng.addFact({ type: 'Step', n: facts[0].data.n + 1 });
+                }
+            }
+        });
+
+        engine.addFact({ type: 'Step', n: 0 });
+        engine.run();
+
+        // One call per inserted Step (0..3), regardless of how many cycles ran
+        expect(alphaTest).toHaveBeenCalledTimes(4);
+    });
+
+    test('removing a fact retracts joined matches', () => {
+        const owner = engine.addFact({ type: 'Person', name: 'Frodo' });
+        engine.addFact({ type: 'Artifact', ownerName: 'Frodo' });
+
+        engine.addRule({
+            name: 'Owner',
+            conditions: {
+                all: [
+                    { var: 'p', type: 'Person' },
+                    { var: 'a', type: 'Artifact' },
+                    { test: (facts, { p, a }) => a.data.ownerName === p.data.name }
+                ]
+            },
+            action: () => {}
+        });
+
+        expect(engine.collectMatches()).toHaveLength(1);
+        engine.removeFact(owner.id);
+        expect(engine.collectMatches()).toHaveLength(0);
+    });
+
+    test('rules added after facts are seeded from existing working memory', () => {
+        engine.addFact({ type: 'Item', status: 'ready' });
+        engine.run();
+
+        const actionSpy = jest.fn();
+        engine.addRule({
+            name: 'LateRule',
+            conditions: {
+                all: [
+                    { type: 'Item', test: i => i.status === 'ready' },
+                    { not: { type: 'Blocker' } }
+                ]
+            },
+            action: actionSpy
+        });
+
+        engine.run();
+        expect(actionSpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('negation reacts to facts being added and removed', () => {
+        const actionSpy = jest.fn();
+        engine.addRule({
+            name: 'NoAlarm',
+            conditions: { not: { type: 'Alarm' } },
+            action: actionSpy
+        });
+
+        const alarm = engine.addFact({ type: 'Alarm' });
+        expect(engine.collectMatches()).toHaveLength(0);
+
+        engine.removeFact(alarm.id);
+        engine.run();
+        expect(actionSpy).toHaveBeenCalledTimes(1);
+    });
+});
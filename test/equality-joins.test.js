@@ -0,0 +1,155 @@
+import { jest } from '@jest/globals';
+import { RulesEngine } from '../index.js';
+
+describe('Equality joins', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new RulesEngine();
+    });
+
+    test('joins patterns on bound variable attributes', () => {
+        engine.addFact({ type: 'Person', name: 'Alice' });
+        engine.addFact({ type: 'Person', name: 'Bob' });
+        engine.addFact({ type: 'Event', category: 'Birthday', personName: 'Alice' });
+        engine.addFact({ type: 'Event', category: 'Birthday', personName: 'Carol' });
+
+        const greeted = [];
+        engine.addRule({
+            name: 'Birthday',
+            conditions: {
+                all: [
+                    { var: 'p', type: 'Person' },
+                    { var: 'e', type: 'Event', join: { personName: 'p.name' } }
+                ]
+            },
+            action: (facts, eng, { p, e }) => greeted.push([p.data.name, e.data.personName])
+        });
+
+        engine.run();
+        expect(greeted).toEqual([['Alice', 'Alice']]);
+    });
+
+    test('re-keys a fact when an update changes its join attribute', () => {
+        engine.addFact({ type: 'Intersection', id: 'I1' });
+        engine.addFact({ type: 'Intersection', id: 'I2' });
+        const vehicle = engine.addFact({ type: 'Vehicle', intersectionId: 'I1' });
+
+        const actionSpy = jest.fn();
+        engine.addRule({
+            name: 'VehicleAt',
+            conditions: {
+                all: [
+                    { var: 'i', type: 'Intersection' },
+                    { var: 'v', type: 'Vehicle', join: { intersectionId: 'i.id' } }
+                ]
+            },
+            action: (facts, eng, { i }) => actionSpy(i.data.id)
+        });
+
+        engine.run();
+        engine.updateFact(vehicle.id, { intersectionId: 'I2' });
+        engine.run();
+
+        expect(actionSpy.mock.calls).toEqual([['I1'], ['I2']]);
+        expect(engine.collectMatches()).toHaveLength(1);
+    });
+
+    test('supports compound keys and nested paths', () => {
+        engine.addFact({ type: 'Order', customer: { id: 7 }, region: 'EU' });
+        engine.addFact({ type: 'Order', customer: { id: 7 }, region: 'US' });
+        engine.addFact({ type: 'Invoice', customerId: 7, region: 'US' });
+
+        const actionSpy = jest.fn();
+        engine.addRule({
+            name: 'InvoiceForOrder',
+            conditions: {
+                all: [
+                    { var: 'o', type: 'Order' },
+                    { var: 'inv', type: 'Invoice', join: { customerId: 'o.customer.id', region: 'o.region' } }
+                ]
+            },
+            action: (facts, eng, { o }) => actionSpy(o.data.region)
+        });
+
+        engine.run();
+        expect(actionSpy.mock.calls).toEqual([['US']]);
+    });
+
+    test('compound keys compare each value like a single key', () => {
+        const shared = { id: 1 };
+        engine.addFact({ type: 'Left', a: null, b: 1, ref: { id: 1 } });
+        engine.addFact({ type: 'Left', a: 'x', b: 2, ref: shared });
+        engine.addFact({ type: 'Right', b: 1, ref: { id: 1 } });
+        engine.addFact({ type: 'Right', a: 'x', b: 2, ref: shared });
+
+        const join = join => ({ all: [{ var: 'l', type: 'Left' }, { var: 'r', type: 'Right', join }] });
+        engine.addRule({ name: 'Single', conditions: join({ ref: 'l.ref' }), action: () => {} });
+        engine.addRule({ name: 'Compound', conditions: join({ a: 'l.a', b: 'l.b', ref: 'l.ref' }), action: () => {} });
+        engine.addRule({ name: 'Missing', conditions: join({ a: 'l.a', b: 'l.b' }), action: () => {} });
+
+        const joined = name => engine.collectMatches()
+            .filter(a => a.rule.name === name)
+            .map(a => a.match.bindings.r.data.b);
+        expect(joined('Single')).toEqual([2]);
+        expect(joined('Compound')).toEqual([2]);
+        expect(joined('Missing')).toEqual([2]);
+    });
+
+    test('works alongside beta tests and later patterns', () => {
+        engine.addFact({ type: 'Person', name: 'Alice', age: 30 });
+        engine.addFact({ type: 'Person', name: 'Tim', age: 9 });
+        engine.addFact({ type: 'Event', personName: 'Alice' });
+        engine.addFact({ type: 'Event', personName: 'Tim' });
+        engine.addFact({ type: 'Venue', open: true });
+
+        const actionSpy = jest.fn();
+        engine.addRule({
+            name: 'AdultParty',
+            conditions: {
+                all: [
+                    { var: 'p', type: 'Person' },
+                    { var: 'e', type: 'Event', join: { personName: 'p.name' } },
+                    { type: 'Venue', test: v => v.open },
+                    { test: (facts, { p }) => p.data.age >= 18 }
+                ]
+            },
+            action: (facts, eng, { p }) => actionSpy(p.data.name)
+        });
+
+        engine.run();
+        expect(actionSpy.mock.calls).toEqual([['Alice']]);
+    });
+
+    test('rejects a join that references a variable bound later', () => {
+        expect(() => engine.addRule({
+            name: 'Backwards',
+            conditions: {
+                all: [
+                    { var: 'e', type: 'Event', join: { personName: 'p.name' } },
+                    { var: 'p', type: 'Person' }
+                ]
+            },
+            action: () => {}
+        })).toThrow(/not bound by an earlier condition/);
+    });
+
+    test('rejects a join outside of all', () => {
+        expect(() => engine.addRule({
+            name: 'TopLevel',
+            conditions: { type: 'Event', join: { personName: 'p.name' } },
+            action: () => {}
+        })).toThrow(/only supported on a pattern inside 'all'/);
+
+        expect(() => engine.addRule({
+            name: 'InsideAny',
+            conditions: {
+                any: [
+                    { var: 'p', type: 'Person' },
+                    { type: 'Event', join: { personName: 'p.name' } }
+                ]
+            },
+            action: () => {}
+        })).toThrow(/only supported on a pattern inside 'all'/);
+    });
+});
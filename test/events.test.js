@@ -0,0 +1,141 @@
+import { jest } from '@jest/globals';
+import { RulesEngine } from '../index.js';
+
+describe('Engine events', () => {
+    let engine;
+    let events;
+
+    const record = (...names) => names.forEach(name => engine.on(name, payload => events.push([name, payload])));
+    const names = () => events.map(([name]) => name);
+
+    beforeEach(() => {
+        engine = new RulesEngine();
+        events = [];
+    });
+
+    test('emits fact events with the affected fact', () => {
+        record('fact:inserted', 'fact:updated', 'fact:removed');
+
+        const fact = engine.addFact({ type: 'Order', amount: 10 });
+        engine.updateFact(fact.id, { amount: 20 });
+        engine.removeFact(fact.id);
+
+        expect(events).toEqual([
+            ['fact:inserted', { fact }],
+            ['fact:updated', { fact, previous: { type: 'Order', amount: 10 } }],
+            ['fact:removed', { fact }]
+        ]);
+    });
+
+    test('emits fact:removed for logically inserted facts that lose support', () => {
+        engine.addRule({
+            name: 'Flag',
+            conditions: { type: 'Order' },
+            action: (facts, eng) => eng.insertLogical({ type: 'Flag' })
+        });
+        const order = engine.addFact({ type: 'Order' });
+        engine.run();
+
+        record('fact:removed');
+        engine.removeFact(order.id);
+        expect(events.map(([, { fact }]) => fact.data.type)).toEqual(['Order', 'Flag']);
+    });
+
+    test('emits activation events as matches come and go', () => {
+        engine.addRule({ name: 'Big', conditions: { type: 'Order', test: o => o.amount > 100 }, action: () => {} });
+        record('activation:created', 'activation:cancelled');
+
+        const order = engine.addFact({ type: 'Order', amount: 500 });
+        engine.updateFact(order.id, { amount: 50 });
+
+        expect(events).toEqual([
+            ['activation:created', expect.objectContaining({ rule: engine.getRule('Big') })],
+            ['activation:cancelled', expect.objectContaining({ reason: 'retracted' })]
+        ]);
+        expect(events[1][1].match).toBe(events[0][1].match);
+    });
+
+    test('does not report matches that already fired as cancelled', () => {
+        engine.addRule({ name: 'Any', conditions: { type: 'Order' }, action: () => {} });
+        const order = engine.addFact({ type: 'Order' });
+        engine.run();
+
+        record('activation:cancelled');
+        engine.removeFact(order.id);
+        expect(events).toEqual([]);
+    });
+
+    test('reports why activations were cancelled', () => {
+        for (const [name, salience] of [['Gold', 10], ['Silver', 0]]) {
+            engine.addRule({ name, salience, activationGroup: 'discount', conditions: { type: 'Order' }, action: () => {} });
+        }
+        engine.addRule({ name: 'Audit', conditions: { type: 'Order' }, action: () => {} });
+        engine.addFact({ type: 'Order' });
+        record('activation:cancelled');
+
+        engine.run();
+        engine.addFact({ type: 'Order' });
+        engine.removeRule('Audit');
+
+        expect(events.map(([, { rule, reason }]) => [rule.name, reason])).toEqual([
+            ['Silver', 'activationGroup'],
+            ['Audit', 'ruleRemoved']
+        ]);
+    });
+
+    test('emits cycle, firing and run events in order', () => {
+        engine.addRule({
+            name: 'Ship',
+            conditions: { var: 'o', type: 'Order' },
+            action: (facts, eng) => eng.addFact({ type: 'Shipment' })
+        });
+        engine.addFact({ type: 'Order' });
+        record('cycle:start', 'cycle:end', 'rule:beforeFire', 'fact:inserted', 'rule:afterFire', 'run:complete');
+
+        engine.run();
+        expect(names()).toEqual([
+            'cycle:start', 'rule:beforeFire', 'fact:inserted', 'rule:afterFire', 'cycle:end', 'run:complete'
+        ]);
+
+        const [, beforeFire] = events[1];
+        expect(beforeFire.rule.name).toBe('Ship');
+        expect(beforeFire.cycle).toBe(1);
+        expect(events[3][1].duration).toBeGreaterThanOrEqual(0);
+        expect(events[4][1]).toEqual({ cycle: 1, fired: 1 });
+        expect(events[5][1]).toEqual({ reason: 'stable', cycles: 1, fired: 1 });
+    });
+
+    test('listeners can be removed, and once listeners fire once', () => {
+        const listener = jest.fn();
+        const onceListener = jest.fn();
+        engine.on('fact:inserted', listener).once('fact:inserted', onceListener);
+
+        engine.addFact({ type: 'A' });
+        engine.off('fact:inserted', listener);
+        engine.addFact({ type: 'B' });
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(onceListener).toHaveBeenCalledTimes(1);
+        expect(engine.hasListeners('fact:inserted')).toBe(false);
+    });
+
+    test('a listener that throws leaves working memory and the network in step', () => {
+        engine.addRule({ name: 'R', conditions: { type: 'A' }, action: () => {} });
+        const failing = () => {
+            throw new Error('logger down');
+        };
+        engine.on('fact:inserted', failing).on('fact:updated', failing).on('fact:removed', failing);
+
+        expect(() => engine.addFact({ type: 'A', id: 'a1' })).toThrow('logger down');
+        expect(engine.query('A').execute()).toHaveLength(1);
+        expect(engine.collectMatches()).toHaveLength(1);
+
+        const [fact] = engine.query('A').execute();
+        expect(() => engine.updateFact(fact.id, { type: 'A', n: 1 })).toThrow('logger down');
+        expect(engine.collectMatches()[0].match.facts[0].data.n).toBe(1);
+
+        expect(() => engine.removeFact(fact.id)).toThrow('logger down');
+        expect(engine.query('A').execute()).toHaveLength(0);
+        expect(engine.collectMatches()).toHaveLength(0);
+    });
+});
@@ -200,6 +200,85 @@ describe('Execution Trace', () => {
         expect(trace[1].ruleName).toBe('GrantBenefits');
         expect(trace[1].factsAdded[0].type).toBe('Benefits');
     });
+
+    test('should record updates, removals, bindings and timing', () => {
+        const customer = engine.addFact({ type: 'Customer', name: 'Ann', tier: 'silver' });
+        const order = engine.addFact({ type: 'Order', total: 500 });
+        engine.addRule({
+            name: 'Upgrade',
+            salience: 5,
+            conditions: {
+                all: [
+                    { var: 'c', type: 'Customer' },
+                    { var: 'o', type: 'Order', test: o => o.total > 100 }
+                ]
+            },
+            action: (facts, eng, { c, o }) => {
+                eng.updateFact(c.id, { tier: 'gold' });
+                eng.removeFact(o.id);
+            }
+        });
+
+        engine.run();
+
+        const [entry] = engine.getExecutionTrace();
+        expect(entry).toMatchObject({
+            ruleName: 'Upgrade',
+            cycle: 1,
+            salience: 5,
+            facts: [
+                { type: 'Customer', name: 'Ann', tier: 'silver' },
+                { type: 'Order', total: 500 }
+            ],
+            bindings: { c: { factId: customer.id }, o: { factId: order.id } },
+            factsAdded: [],
+            factsUpdated: [{
+                id: customer.id,
+                before: { type: 'Customer', name: 'Ann', tier: 'silver' },
+                after: { type: 'Customer', name: 'Ann', tier: 'gold' }
+            }],
+            factsRemoved: [{ id: order.id, data: { type: 'Order', total: 500 } }]
+        });
+        expect(entry.duration).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should serialize accumulated facts by id', () => {
+        const items = [engine.addFact({ type: 'Item' }), engine.addFact({ type: 'Item' })];
+        engine.addRule({
+            name: 'Collect',
+            conditions: {
+                var: 'items',
+                type: 'Item',
+                accumulate: { initial: () => [], reduce: (acc, fact) => [...acc, fact] }
+            },
+            action: () => {}
+        });
+
+        engine.run();
+        expect(engine.getExecutionTrace()[0].bindings.items).toEqual(
+            items.map(item => ({ factId: item.id }))
+        );
+    });
+
+    test('should export the trace as JSON Lines', () => {
+        engine.addRule({
+            name: 'Greet',
+            conditions: { var: 'p', type: 'Person' },
+            action: (facts, eng) => eng.addFact({ type: 'Greeting' })
+        });
+        engine.addFact({ type: 'Person', name: 'Ann' });
+        engine.addFact({ type: 'Person', name: 'Bob' });
+        engine.run();
+
+        const lines = engine.exportExecutionTrace().trim().split('\n');
+        expect(lines).toHaveLength(2);
+        expect(lines.map(line => JSON.parse(line))).toEqual(engine.getExecutionTrace());
+
+        const [withoutTimings] = engine.exportExecutionTrace({ timings: false }).split('\n');
+        expect(JSON.parse(withoutTimings)).not.toHaveProperty('timestamp');
+        expect(JSON.parse(withoutTimings)).not.toHaveProperty('duration');
+        expect(JSON.parse(withoutTimings).ruleName).toBe('Greet');
+    });
     });
 
     describe('with tracing disabled (default)', () => {
@@ -0,0 +1,133 @@
+import { RulesEngine } from '../index.js';
+
+describe('explain', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new RulesEngine();
+    });
+
+    const blamed = explanation => explanation.eliminatedBy.map(({ node, passed, eliminated }) => [node, passed, eliminated]);
+
+    test('reports the pattern test that eliminated every fact', () => {
+        engine.addFact({ type: 'Person', age: 10 });
+        engine.addFact({ type: 'Person', age: 12 });
+        engine.addRule({ name: 'Adult', conditions: { type: 'Person', test: p => p.age >= 18 }, action: () => {} });
+
+        const explanation = engine.explain('Adult');
+        expect(explanation.status).toBe('noMatches');
+        expect(explanation.eliminatedBy).toEqual([expect.objectContaining({
+            node: 'AlphaNode',
+            type: 'Person',
+            test: expect.stringContaining('p.age >= 18'),
+            candidates: 2,
+            passed: 0,
+            eliminated: 2
+        })]);
+    });
+
+    test('reports a missing fact type', () => {
+        engine.addRule({ name: 'Greet', conditions: { type: 'Person' }, action: () => {} });
+        expect(blamed(engine.explain('Greet'))).toEqual([['AlphaNode', 0, 0]]);
+    });
+
+    test('walks joins, beta tests and negations', () => {
+        engine.addFact({ type: 'Person', name: 'Ann' });
+        engine.addFact({ type: 'Pet', ownerName: 'Ann' });
+        engine.addFact({ type: 'Orc' });
+        engine.addRule({
+            name: 'SafePet',
+            conditions: {
+                all: [
+                    { var: 'p', type: 'Person' },
+                    { type: 'Pet', join: { ownerName: 'p.name' } },
+                    { test: (facts, { p }) => p.data.name.length > 2 },
+                    { not: { type: 'Orc' } }
+                ]
+            },
+            action: () => {}
+        });
+
+        const explanation = engine.explain('SafePet');
+        expect(blamed(explanation)).toEqual([['LogicalNotNode', 0, 1]]);
+        expect(explanation.network).toMatchObject({
+            node: 'BetaTestNode',
+            candidates: 0,
+            inputs: [{
+                node: 'LogicalNotNode',
+                bodyMatches: 1,
+                inputs: [{ node: 'JoinNode', hashed: true, passed: 1 }, { node: 'JoinNode' }]
+            }]
+        });
+    });
+
+    test('does not blame an empty not body, nor an exists body no token reached', () => {
+        engine.addRule({
+            name: 'Unblocked',
+            conditions: { all: [{ type: 'P' }, { not: { type: 'Block' } }] },
+            action: () => {}
+        });
+        expect(engine.explain('Unblocked').eliminatedBy).toEqual([expect.objectContaining({ node: 'AlphaNode', type: 'P' })]);
+
+        engine.addRule({
+            name: 'Blocked',
+            conditions: { all: [{ type: 'P' }, { exists: { type: 'Block' } }] },
+            action: () => {}
+        });
+        expect(engine.explain('Blocked').eliminatedBy).toEqual([expect.objectContaining({ node: 'AlphaNode', type: 'P' })]);
+
+        engine.addFact({ type: 'P' });
+        expect(engine.explain('Unblocked').eliminatedBy).toEqual([]);
+        expect(blamed(engine.explain('Blocked'))).toEqual([['AlphaNode', 0, 0], ['LogicalExistsNode', 0, 1]]);
+        expect(engine.explain('Blocked').eliminatedBy[0].type).toBe('Block');
+    });
+
+    test('reports an accumulator whose result fails its test', () => {
+        engine.addFact({ type: 'Visitor' });
+        engine.addRule({
+            name: 'Crowded',
+            conditions: {
+                type: 'Visitor',
+                accumulate: { initial: () => 0, reduce: n => n + 1, test: n => n > 10 }
+            },
+            action: () => {}
+        });
+
+        const [accumulator] = engine.explain('Crowded').eliminatedBy;
+        expect(accumulator).toMatchObject({ node: 'AccumulatorNode', facts: 1, candidates: 1, passed: 0, eliminated: 1 });
+    });
+
+    test('says when refraction blocks a valid match', () => {
+        const person = engine.addFact({ type: 'Person', age: 30 });
+        engine.addRule({ name: 'Adult', conditions: { var: 'p', type: 'Person', test: p => p.age >= 18 }, action: () => {} });
+
+        expect(engine.explain('Adult')).toMatchObject({
+            status: 'pending',
+            matches: [{ factIds: [person.id], bindings: { p: { factId: person.id } }, status: 'pending' }]
+        });
+
+        engine.run();
+        expect(engine.explain('Adult')).toMatchObject({
+            status: 'refracted',
+            refracted: 1,
+            eliminatedBy: [],
+            matches: [{ status: 'fired' }]
+        });
+    });
+
+    test('reports disabled rules and cancelled matches', () => {
+        engine.addFact({ type: 'Order' });
+        engine.addRule({ name: 'Gold', salience: 10, activationGroup: 'discount', conditions: { type: 'Order' }, action: () => {} });
+        engine.addRule({ name: 'Silver', activationGroup: 'discount', conditions: { type: 'Order' }, action: () => {} });
+        engine.run();
+
+        expect(engine.explain('Silver')).toMatchObject({ status: 'cancelled', matches: [{ status: 'cancelled' }] });
+
+        engine.disableRule('Silver');
+        expect(engine.explain('Silver').status).toBe('disabled');
+    });
+
+    test('throws for an unknown rule', () => {
+        expect(() => engine.explain('Nope')).toThrow(/No rule found with name "Nope"/);
+    });
+});
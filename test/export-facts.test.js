@@ -0,0 +1,138 @@
+import { RulesEngine } from '../index.js';
+
+describe('Exporting and importing facts', () => {
+    const alertRule = {
+        name: 'HotSensorAlert',
+        conditions: { var: 's', type: 'Sensor', test: s => s.temperature > 100 },
+        action: (facts, eng, { s }) => {
+            eng.insertLogical({ type: 'Alert', sensorId: s.data.id });
+        }
+    };
+
+    test('facts keep their ids, recency and data', () => {
+        const source = new RulesEngine();
+        source.addFact({ type: 'Person', name: 'Ada' });
+        const alan = source.addFact({ type: 'Person', name: 'Alan' });
+        source.updateFact(alan.id, { age: 41 });
+
+        const engine = new RulesEngine();
+        engine.importFacts(source.exportFacts());
+
+        const summary = eng => eng.query('Person').execute()
+            .map(({ id, recency, data }) => ({ id, recency, data }))
+            .sort((a, b) => a.id - b.id);
+        expect(summary(engine)).toEqual(summary(source));
+    });
+
+    test('the export is JSON', () => {
+        const engine = new RulesEngine();
+        const fact = engine.addFact({ type: 'Person', name: 'Ada' });
+
+        expect(JSON.parse(engine.exportFacts())).toEqual({
+            versionCounter: fact.recency + 1,
+            facts: [{ id: fact.id, recency: fact.recency, data: { type: 'Person', name: 'Ada' } }]
+        });
+    });
+
+    test('facts added after an import get new ids and higher recency', () => {
+        const source = new RulesEngine();
+        source.addFact({ type: 'Person', name: 'Ada' });
+        const json = source.exportFacts();
+
+        const engine = new RulesEngine();
+        const [ada] = engine.importFacts(json);
+        const alan = engine.addFact({ type: 'Person', name: 'Alan' });
+        expect(alan.id).toBeGreaterThan(ada.id);
+        expect(alan.recency).toBeGreaterThan(ada.recency);
+    });
+
+    test('imported facts are matched by the rules', () => {
+        const source = new RulesEngine();
+        source.addFact({ type: 'Sensor', id: 's1', temperature: 120 });
+
+        const engine = new RulesEngine();
+        engine.addRule(alertRule);
+        engine.importFacts(source.exportFacts());
+        engine.run();
+        expect(engine.query('Alert').execute()).toHaveLength(1);
+    });
+
+    test('logically inserted facts keep their support', () => {
+        const source = new RulesEngine();
+        source.addRule(alertRule);
+        source.addFact({ type: 'Sensor', id: 's1', temperature: 120 });
+        source.run();
+
+        const engine = new RulesEngine();
+        engine.addRule(alertRule);
+        const [sensor] = engine.importFacts(source.exportFacts());
+
+        // The rule doesn't fire again for the match that inserted the alert
+        engine.run();
+        expect(engine.query('Alert').execute()).toHaveLength(1);
+
+        engine.updateFact(sensor.id, { temperature: 20 });
+        expect(engine.query('Alert').execute()).toHaveLength(0);
+    });
+
+    test('logically inserted facts without a supporting match are retracted', () => {
+        const source = new RulesEngine();
+        source.addRule(alertRule);
+        source.addFact({ type: 'Sensor', id: 's1', temperature: 120 });
+        source.run();
+
+        const engine = new RulesEngine();
+        engine.importFacts(source.exportFacts());
+        expect(engine.query('Sensor').execute()).toHaveLength(1);
+        expect(engine.query('Alert').execute()).toHaveLength(0);
+    });
+
+    test('accepts the parsed export', () => {
+        const source = new RulesEngine();
+        source.addFact({ type: 'Person', name: 'Ada' });
+
+        const engine = new RulesEngine();
+        const parsed = JSON.parse(source.exportFacts());
+        const [ada] = engine.importFacts(parsed);
+        expect(engine.query('Person').execute()).toHaveLength(1);
+
+        // The imported facts don't share data with the parsed export
+        engine.updateFact(ada.id, { name: 'Alan' });
+        expect(parsed.facts[0].data.name).toBe('Ada');
+    });
+
+    test('rejects ids that are already in use', () => {
+        const engine = new RulesEngine();
+        const fact = engine.addFact({ type: 'Person', name: 'Ada' });
+        const json = engine.exportFacts();
+
+        expect(() => engine.importFacts(json)).toThrow(`importFacts: A fact with ID ${fact.id} already exists`);
+        expect(engine.query('Person').execute()).toHaveLength(1);
+    });
+
+    test('rejects an invalid entry before importing anything', () => {
+        const engine = new RulesEngine();
+        const valid = { id: 0, recency: 1, data: { type: 'Person', name: 'Ada' } };
+        const invalid = [
+            [{ recency: 2, data: { type: 'Person' } }, /Fact at index 1 must have a string or number "id"/],
+            [{ id: { a: 1 }, recency: 2, data: { type: 'Person' } }, /Fact at index 1 must have a string or number "id"/],
+            [{ id: 1, data: { type: 'Person' } }, /Fact 1 must have an integer "recency"/],
+            [{ id: 1, recency: '2', data: { type: 'Person' } }, /Fact 1 must have an integer "recency"/],
+            [{ id: 1, recency: 2, data: { name: 'Alan' } }, /Fact 1 must have "data" with a 'type' property/],
+            [{ id: 1, recency: 2 }, /Fact 1 must have "data" with a 'type' property/]
+        ];
+        for (const [entry, message] of invalid) {
+            expect(() => engine.importFacts({ versionCounter: 3, facts: [valid, entry] })).toThrow(message);
+        }
+        expect(() => engine.importFacts({ versionCounter: 'x', facts: [valid] })).toThrow(/"versionCounter" must be an integer/);
+
+        expect(engine.query('Person').execute()).toHaveLength(0);
+        expect(engine.addFact({ type: 'Person' }).recency).toBe(1);
+    });
+
+    test('rejects input that is not an export', () => {
+        for (const input of [{}, null, undefined, 'null', 42]) {
+            expect(() => new RulesEngine().importFacts(input)).toThrow(/Expected an object with a "facts" array/);
+        }
+    });
+});
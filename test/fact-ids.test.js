@@ -0,0 +1,109 @@
+import { RulesEngine } from '../index.js';
+
+describe('Fact ids', () => {
+    test('each engine numbers its facts from 0', () => {
+        const first = new RulesEngine();
+        first.addFact({ type: 'Person', name: 'Ada' });
+        first.addFact({ type: 'Person', name: 'Alan' });
+
+        const second = new RulesEngine();
+        expect(second.addFact({ type: 'Person', name: 'Grace' }).id).toBe(0);
+        expect(second.addFact({ type: 'Person', name: 'Edsger' }).id).toBe(1);
+    });
+
+    test('uuid ids', () => {
+        const engine = new RulesEngine({ idGenerator: 'uuid' });
+        const ada = engine.addFact({ type: 'Person', name: 'Ada' });
+        const alan = engine.addFact({ type: 'Person', name: 'Alan' });
+
+        expect(ada.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+        expect(alan.id).not.toBe(ada.id);
+
+        engine.updateFact(ada.id, { age: 36 });
+        expect(engine.query('Person').where(p => p.age === 36).execute()).toHaveLength(1);
+    });
+
+    test('ids taken from the fact data', () => {
+        const engine = new RulesEngine({ idGenerator: data => `${data.type}:${data.sku}` });
+        const widget = engine.addFact({ type: 'Product', sku: 'W-1' });
+        expect(widget.id).toBe('Product:W-1');
+
+        engine.removeFact('Product:W-1');
+        expect(engine.query('Product').execute()).toHaveLength(0);
+    });
+
+    test('a key extractor may not return an id that is in use, or none', () => {
+        const engine = new RulesEngine({ idGenerator: data => data.sku });
+        engine.addFact({ type: 'Product', sku: 'W-1' });
+
+        expect(() => engine.addFact({ type: 'Product', sku: 'W-1' })).toThrow('A fact with ID W-1 already exists');
+        expect(() => engine.addFact({ type: 'Product' })).toThrow('idGenerator returned no id for a fact of type "Product"');
+        expect(engine.query('Product').execute()).toHaveLength(1);
+    });
+
+    test('rejects an unknown generator', () => {
+        expect(() => new RulesEngine({ idGenerator: 'random' })).toThrow(/Unknown idGenerator "random"/);
+    });
+
+    test('a fork continues numbering where its parent was', () => {
+        const engine = new RulesEngine();
+        engine.addFact({ type: 'Person', name: 'Ada' });
+
+        const fork = engine.fork();
+        expect(fork.addFact({ type: 'Person', name: 'Alan' }).id).toBe(1);
+        expect(engine.addFact({ type: 'Person', name: 'Grace' }).id).toBe(1);
+    });
+
+    test('a fork keeps its parent\'s generator', () => {
+        const engine = new RulesEngine({ idGenerator: data => data.name });
+        expect(engine.fork().addFact({ type: 'Person', name: 'Ada' }).id).toBe('Ada');
+    });
+
+    test('ids handed out after a snapshot are not reused after restoring it', () => {
+        const engine = new RulesEngine();
+        const snapshot = engine.snapshot();
+        const ada = engine.addFact({ type: 'Person', name: 'Ada' });
+
+        engine.restore(snapshot);
+        expect(engine.addFact({ type: 'Person', name: 'Alan' }).id).toBeGreaterThan(ada.id);
+    });
+
+    test('getFact looks facts up by id', () => {
+        const engine = new RulesEngine();
+        const ada = engine.addFact({ type: 'Person', name: 'Ada' });
+        engine.addFact({ type: 'Person', name: 'Alan' });
+
+        expect(engine.getFact(ada.id)).toBe(ada);
+        engine.removeFact(ada.id);
+        expect(engine.getFact(ada.id)).toBeUndefined();
+    });
+
+    test('getFact returns each session\'s own fact', () => {
+        const engine = new RulesEngine();
+        const ada = engine.addFact({ type: 'Person', name: 'Ada' });
+
+        const fork = engine.fork();
+        fork.updateFact(ada.id, { age: 36 });
+        expect(fork.getFact(ada.id).data.age).toBe(36);
+        expect(engine.getFact(ada.id)).toBe(ada);
+    });
+
+    test('actions can look up facts referenced by other facts', () => {
+        const engine = new RulesEngine({
+            idGenerator: data => (data.type === 'Product' ? data.sku : `order-${data.orderId}`)
+        });
+        engine.addRule({
+            name: 'Reserve',
+            conditions: { var: 'o', type: 'Order' },
+            action: (facts, eng, { o }) => {
+                const product = eng.getFact(o.data.sku);
+                eng.updateFact(product.id, { stock: product.data.stock - 1 });
+            }
+        });
+        engine.addFact({ type: 'Product', sku: 'W-1', stock: 3 });
+        engine.addFact({ type: 'Order', orderId: 1, sku: 'W-1' });
+        engine.run();
+
+        expect(engine.getFact('W-1').data.stock).toBe(2);
+    });
+});
@@ -0,0 +1,186 @@
+import { jest } from '@jest/globals';
+import { RulesEngine } from '../index.js';
+
+describe('Secondary indexes', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new RulesEngine();
+    });
+
+    const names = facts => facts.map(f => f.data.name).sort();
+
+    const addVehicles = () => {
+        engine.addFact({ type: 'Vehicle', name: 'bus', intersectionId: 'I-1', lane: 1, speed: 30 });
+        engine.addFact({ type: 'Vehicle', name: 'car', intersectionId: 'I-1', lane: 2, speed: 55 });
+        engine.addFact({ type: 'Vehicle', name: 'bike', intersectionId: 'I-2', lane: 1, speed: 20 });
+        engine.addFact({ type: 'Vehicle', name: 'truck', intersectionId: 'I-2', lane: 2, speed: 55 });
+    };
+
+    test('queries with declarative constraints use a hash index', () => {
+        engine.createIndex('Vehicle', 'intersectionId');
+        addVehicles();
+        const scan = jest.spyOn(engine.wmi, 'getByType');
+
+        expect(names(engine.query('Vehicle').where({ intersectionId: 'I-1' }).execute())).toEqual(['bus', 'car']);
+        expect(engine.query('Vehicle').where({ intersectionId: 'I-9' }).execute()).toEqual([]);
+        expect(scan).not.toHaveBeenCalled();
+    });
+
+    test('compound indexes answer equality on all of their attributes', () => {
+        engine.createIndex('Vehicle', ['intersectionId', 'lane']);
+        addVehicles();
+
+        const query = where => names(engine.query('Vehicle').where(where).execute());
+        expect(query({ intersectionId: 'I-2', lane: 2 })).toEqual(['truck']);
+        // Only one of the attributes => falls back to scanning the type
+        expect(query({ lane: 1 })).toEqual(['bike', 'bus']);
+    });
+
+    test('sorted indexes answer range constraints', () => {
+        engine.createIndex('Vehicle', 'speed', { sorted: true });
+        addVehicles();
+
+        const query = where => names(engine.query('Vehicle').where(where).execute());
+        expect(query({ speed: { $gt: 30 } })).toEqual(['car', 'truck']);
+        expect(query({ speed: { $gte: 20, $lt: 55 } })).toEqual(['bike', 'bus']);
+        expect(query({ speed: 55 })).toEqual(['car', 'truck']);
+        expect(query({ speed: { $lte: 10 } })).toEqual([]);
+    });
+
+    test('range constraints only compare numbers with numbers and strings with strings', () => {
+        engine.createIndex('Reading', 'value', { sorted: true });
+        engine.addFact({ type: 'Reading', name: 'number', value: 10 });
+        engine.addFact({ type: 'Reading', name: 'string', value: '10' });
+        engine.addFact({ type: 'Reading', name: 'missing' });
+
+        expect(names(engine.query('Reading').where({ value: { $gt: 5 } }).execute())).toEqual(['number']);
+        expect(names(engine.query('Reading').where({ value: { $gte: '1' } }).execute())).toEqual(['string']);
+    });
+
+    test('indexes follow updates and removals', () => {
+        engine.createIndex('Vehicle', 'intersectionId');
+        engine.createIndex('Vehicle', 'speed', { sorted: true });
+        addVehicles();
+        const [bus] = engine.query('Vehicle').where({ intersectionId: 'I-1', speed: 30 }).execute();
+
+        engine.updateFact(bus.id, { intersectionId: 'I-2', speed: 60 });
+        expect(names(engine.query('Vehicle').where({ intersectionId: 'I-2' }).execute())).toEqual(['bike', 'bus', 'truck']);
+        expect(names(engine.query('Vehicle').where({ speed: { $gt: 55 } }).execute())).toEqual(['bus']);
+
+        engine.removeFact(bus.id);
+        expect(names(engine.query('Vehicle').where({ intersectionId: 'I-2' }).execute())).toEqual(['bike', 'truck']);
+        expect(engine.query('Vehicle').where({ speed: { $gt: 55 } }).execute()).toEqual([]);
+    });
+
+    test('indexes are restored when a failed action is rolled back', () => {
+        engine = new RulesEngine({ onActionError: 'rollback-and-continue' });
+        engine.createIndex('Vehicle', 'intersectionId');
+        addVehicles();
+        engine.addRule({
+            name: 'Reroute',
+            conditions: { var: 'v', type: 'Vehicle', where: { name: 'bus' } },
+            action: (facts, eng, { v }) => {
+                eng.updateFact(v.id, { intersectionId: 'I-3' });
+                throw new Error('detour closed');
+            }
+        });
+        engine.run();
+
+        expect(names(engine.query('Vehicle').where({ intersectionId: 'I-1' }).execute())).toEqual(['bus', 'car']);
+        expect(engine.query('Vehicle').where({ intersectionId: 'I-3' }).execute()).toEqual([]);
+    });
+
+    test('indexed and unindexed queries agree', () => {
+        const indexed = new RulesEngine();
+        indexed.createIndex('Point', 'x', { sorted: true });
+        indexed.createIndex('Point', ['x', 'y']);
+        let seed = 7;
+        const random = () => (seed = (seed * 16807) % 2147483647) % 10;
+        for (let i = 0; i < 300; i++) {
+            const data = { type: 'Point', x: random(), y: random() };
+            indexed.addFact({ ...data });
+            engine.addFact({ ...data });
+        }
+
+        const ids = (eng, where) => eng.query('Point').where(where).execute().map(f => f.id).sort((a, b) => a - b);
+        for (const where of [{ x: 3 }, { x: 3, y: 4 }, { x: { $gt: 2, $lte: 6 } }, { x: { $lt: 5 }, y: 1 }]) {
+            expect(ids(indexed, where)).toEqual(ids(engine, where));
+        }
+    });
+
+    test('rules match with where patterns, and are seeded from an index', () => {
+        engine.createIndex('Vehicle', 'intersectionId');
+        addVehicles();
+        const seen = [];
+        engine.addRule({
+            name: 'AtIntersection',
+            conditions: { var: 'v', type: 'Vehicle', where: { intersectionId: 'I-2', speed: { $gte: 50 } } },
+            action: (facts, eng, { v }) => seen.push(v.data.name)
+        });
+        engine.addFact({ type: 'Vehicle', name: 'van', intersectionId: 'I-2', speed: 70 });
+        engine.addFact({ type: 'Vehicle', name: 'taxi', intersectionId: 'I-1', speed: 70 });
+
+        engine.run();
+        expect(seen.sort()).toEqual(['truck', 'van']);
+    });
+
+    test('where and test can be combined', () => {
+        addVehicles();
+        engine.addRule({
+            name: 'FastInLaneTwo',
+            conditions: { var: 'v', type: 'Vehicle', where: { lane: 2 }, test: v => v.name !== 'car' },
+            action: () => {}
+        });
+        expect(engine.collectMatches().map(a => a.match.bindings.v.data.name)).toEqual(['truck']);
+    });
+
+    test('accumulators can use where', () => {
+        addVehicles();
+        let total = null;
+        engine.addRule({
+            name: 'Queue',
+            conditions: {
+                type: 'Vehicle',
+                where: { intersectionId: 'I-1' },
+                var: 'count',
+                accumulate: {
+                    initial: () => 0,
+                    reduce: count => count + 1,
+                    retract: count => count - 1
+                }
+            },
+            action: (facts, eng, { count }) => { total = count; }
+        });
+        engine.run();
+        expect(total).toBe(2);
+    });
+
+    test('snapshots and forks keep the indexes', () => {
+        engine.createIndex('Vehicle', 'intersectionId');
+        addVehicles();
+        const snapshot = engine.snapshot();
+        engine.addFact({ type: 'Vehicle', name: 'van', intersectionId: 'I-1' });
+        engine.restore(snapshot);
+
+        const fork = engine.fork();
+        fork.addFact({ type: 'Vehicle', name: 'taxi', intersectionId: 'I-1' });
+
+        for (const [eng, expected] of [[engine, ['bus', 'car']], [fork, ['bus', 'car', 'taxi']]]) {
+            const scan = jest.spyOn(eng.wmi, 'getByType');
+            expect(names(eng.query('Vehicle').where({ intersectionId: 'I-1' }).execute())).toEqual(expected);
+            expect(scan).not.toHaveBeenCalled();
+        }
+    });
+
+    test('rejects unknown operators and sorted compound indexes', () => {
+        expect(() => engine.query('Vehicle').where({ speed: { $between: [1, 2] } }))
+            .toThrow(/Unknown operator "\$between" for "speed"/);
+        expect(() => engine.addRule({
+            name: 'Bad',
+            conditions: { type: 'Vehicle', where: { speed: { $gt: 1, $near: 2 } } },
+            action: () => {}
+        })).toThrow(/Unknown operator "\$near"/);
+        expect(() => engine.createIndex('Vehicle', ['a', 'b'], { sorted: true })).toThrow(/single attribute/);
+    });
+});
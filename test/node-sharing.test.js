@@ -0,0 +1,191 @@
+import { jest } from '@jest/globals';
+import { RulesEngine } from '../index.js';
+
+describe('Node sharing between rules', () => {
+    let engine;
+    const names = eng => eng.collectMatches().map(a => a.rule.name).sort();
+
+    beforeEach(() => {
+        engine = new RulesEngine();
+    });
+
+    test('rules with the same pattern share its alpha node', () => {
+        const isEmergency = jest.fn(v => v.driverType === 'emergency');
+        const fired = [];
+        for (let i = 0; i < 10; i++) {
+            engine.addRule({
+                name: `R${i}`,
+                conditions: { var: 'v', type: 'Vehicle', test: isEmergency },
+                action: (facts, eng, { v }) => fired.push(`R${i}:${v.data.id}`)
+            });
+        }
+        engine.addFact({ type: 'Vehicle', id: 'amb', driverType: 'emergency' });
+        engine.addFact({ type: 'Vehicle', id: 'car', driverType: 'civilian' });
+        engine.run();
+
+        expect(isEmergency).toHaveBeenCalledTimes(2);
+        expect(fired).toHaveLength(10);
+        expect(new Set(engine.rules.map(rule => rule.rootNode)).size).toBe(1);
+        expect(engine.wmi.alphaNodes.get('Vehicle').size).toBe(1);
+    });
+
+    test('declarative conditions are compared by structure', () => {
+        const rule = (name, conditions) => engine.addRule({ name, conditions, action: () => {} });
+        rule('A', { var: 'p', type: 'Person', where: { age: { $gte: 18 }, name: { $regex: '^A' } } });
+        engine.loadRules('rule "B" when p: Person(age >= 18, name matches "^A") then end');
+        rule('OtherVar', { var: 'q', type: 'Person', where: { age: { $gte: 18 }, name: { $regex: '^A' } } });
+        rule('OtherRegex', { var: 'p', type: 'Person', where: { age: { $gte: 18 }, name: { $regex: '^B' } } });
+        rule('OtherTest', { var: 'p', type: 'Person', test: p => p.age >= 18 });
+        rule('SameSource', { var: 'p', type: 'Person', test: p => p.age >= 18 });
+
+        const root = name => engine.getRule(name).rootNode;
+        expect(root('A')).toBe(root('B'));
+        expect(new Set(['A', 'OtherVar', 'OtherRegex', 'OtherTest', 'SameSource'].map(root)).size).toBe(5);
+
+        engine.addFact({ type: 'Person', name: 'Ann', age: 30 });
+        expect(names(engine)).toEqual(['A', 'B', 'OtherTest', 'OtherVar', 'SameSource']);
+    });
+
+    test('rules share a common join prefix', () => {
+        const prefix = [{ var: 'p', type: 'Person' }, { var: 'e', type: 'Event', where: { personName: { $ref: 'p.name' } } }];
+        engine.addRule({ name: 'Short', conditions: { all: prefix }, action: () => {} });
+        engine.addRule({
+            name: 'Long',
+            conditions: { all: [...prefix, { type: 'Pet', join: { owner: 'p.name' } }] },
+            action: () => {}
+        });
+
+        for (const name of ['Ada', 'Alan', 'Grace']) {
+            engine.addFact({ type: 'Person', name });
+            engine.addFact({ type: 'Event', personName: name });
+        }
+        engine.addFact({ type: 'Pet', owner: 'Ada' });
+
+        expect(engine.getRule('Long').rootNode.left).toBe(engine.getRule('Short').rootNode);
+        expect(names(engine)).toEqual(['Long', 'Short', 'Short', 'Short']);
+    });
+
+    test('a rule added later starts from the shared nodes\' current matches', () => {
+        const open = {
+            all: [
+                { var: 'o', type: 'Order', where: { status: 'open' } },
+                { var: 'c', type: 'Customer', join: { id: 'o.customerId' } }
+            ]
+        };
+        engine.addRule({ name: 'Open', conditions: open, action: () => {} });
+        engine.addFact({ type: 'Customer', id: 1 });
+        engine.addFact({ type: 'Customer', id: 2 });
+        engine.addFact({ type: 'Order', status: 'open', customerId: 1 });
+        engine.addFact({ type: 'Order', status: 'open', customerId: 2 });
+        engine.addFact({ type: 'Block', customerId: 2 });
+
+        engine.addRule({
+            name: 'Unblocked',
+            conditions: { all: [...open.all, { not: { type: 'Block', where: { customerId: { $ref: 'c.id' } } } }] },
+            action: () => {}
+        });
+        engine.addRule({
+            name: 'Blocked',
+            conditions: { all: [...open.all, { exists: { type: 'Block', join: { customerId: 'c.id' } } }] },
+            action: () => {}
+        });
+
+        const customers = name => engine.collectMatches()
+            .filter(a => a.rule.name === name)
+            .map(a => a.match.bindings.c.data.id);
+        expect(customers('Open').sort()).toEqual([1, 2]);
+        expect(customers('Unblocked')).toEqual([1]);
+        expect(customers('Blocked')).toEqual([2]);
+    });
+
+    test('rules with the same conditions get matches of their own', () => {
+        engine.addRule({ name: 'First', conditions: { type: 'Job' }, action: () => {}, activationGroup: 'jobs', salience: 1 });
+        engine.addRule({ name: 'Second', conditions: { type: 'Job' }, action: () => {}, activationGroup: 'jobs' });
+        engine.addFact({ type: 'Job' });
+
+        const [first, second] = engine.rules.map(rule => rule.terminalNode.getPartialMatches(engine.wmi)[0]);
+        expect(first).not.toBe(second);
+        expect(engine.run().fired).toBe(1);
+    });
+
+    test('removing a rule keeps the nodes other rules still use', () => {
+        const isAdult = p => p.age >= 18;
+        engine.addRule({ name: 'A', conditions: { type: 'Person', test: isAdult }, action: () => {} });
+        engine.addRule({
+            name: 'B',
+            conditions: { all: [{ type: 'Person', test: isAdult }, { not: { type: 'Ban' } }] },
+            action: () => {}
+        });
+        engine.addFact({ type: 'Person', age: 30 });
+
+        engine.removeRule('A');
+        engine.addFact({ type: 'Person', age: 40 });
+        expect(names(engine)).toEqual(['B', 'B']);
+
+        engine.replaceRule({
+            name: 'B',
+            conditions: { all: [{ type: 'Person', test: isAdult }, { type: 'Ban' }] },
+            action: () => {}
+        });
+        expect(names(engine)).toEqual([]);
+        engine.addFact({ type: 'Ban' });
+        expect(names(engine)).toEqual(['B', 'B']);
+
+        engine.removeRule('B');
+        expect(engine.network.nodes().size).toBe(0);
+        expect(engine.wmi.alphaNodes.size).toBe(0);
+        expect(engine.wmi.nodeMemories.size).toBe(0);
+    });
+
+    test('snapshots and forks work with shared nodes', () => {
+        const rule = name => ({
+            name,
+            conditions: { all: [{ var: 'p', type: 'Person' }, { not: { type: 'Ban' } }] },
+            action: () => {}
+        });
+        engine.addRule(rule('A'));
+        engine.addRule(rule('B'));
+        engine.addFact({ type: 'Person', name: 'Ada' });
+
+        const snapshot = engine.snapshot();
+        engine.addFact({ type: 'Ban' });
+        engine.restore(snapshot);
+        expect(names(engine)).toEqual(['A', 'B']);
+
+        const fork = engine.fork();
+        expect(fork.getRule('A')).toBe(engine.getRule('A'));
+        fork.removeRule('A');
+        fork.addFact({ type: 'Person', name: 'Alan' });
+        engine.addRule(rule('C'));
+        expect(names(fork)).toEqual(['B', 'B']);
+        expect(names(engine)).toEqual(['A', 'B', 'C']);
+    });
+
+    test('rules a fork adds or removes don\'t affect its parent\'s nodes', () => {
+        const adult = { var: 'p', type: 'Person', where: { age: { $gte: 18 } } };
+        engine.addRule({ name: 'Adults', conditions: adult, action: () => {} });
+        engine.addFact({ type: 'Person', age: 30 });
+        const created = [];
+        engine.on('activation:created', ({ rule }) => created.push(rule.name));
+
+        const fork = engine.fork();
+        fork.addRule({
+            name: 'AdultPets',
+            conditions: { all: [adult, { type: 'Pet' }] },
+            action: () => {}
+        });
+        expect(fork.getRule('AdultPets').rootNode.left).toBe(engine.getRule('Adults').rootNode);
+        engine.addFact({ type: 'Person', age: 40 });
+        engine.addFact({ type: 'Pet' });
+        expect(created).toEqual(['Adults']);
+        expect(names(engine)).toEqual(['Adults', 'Adults']);
+
+        // The parent's removed rule keeps working in the fork
+        engine.removeRule('Adults');
+        fork.addFact({ type: 'Pet' });
+        expect(names(fork)).toEqual(['AdultPets', 'Adults']);
+        fork.removeRule('Adults');
+        fork.removeRule('AdultPets');
+        expect(engine.network.nodes().size).toBe(0);
+    });
+});
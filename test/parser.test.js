@@ -0,0 +1,248 @@
+import { jest } from '@jest/globals';
+import { RulesEngine, parseRules } from '../index.js';
+
+describe('Text rule language', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new RulesEngine();
+    });
+
+    const greetings = () => engine.query('Greeting').execute().map(f => f.data);
+
+    test('parses rules into the object DSL', () => {
+        const [rule] = parseRules(`
+            rule "AdultBirthday" salience 10
+            when
+                p: Person(age >= 18)
+                e: Event(category == "Birthday", personName == p.name)
+            then
+                insert Greeting(to: p.name)
+            end
+        `);
+
+        expect(rule).toMatchObject({
+            name: 'AdultBirthday',
+            salience: 10,
+            conditions: {
+                all: [
+                    { var: 'p', type: 'Person', where: { age: { $gte: 18 } } },
+                    { var: 'e', type: 'Event', where: { category: 'Birthday', personName: { $ref: 'p.name' } } }
+                ]
+            }
+        });
+        expect(typeof rule.action).toBe('function');
+    });
+
+    test('loadRules adds the rules to the engine', () => {
+        const rules = engine.loadRules(`
+            rule "AdultBirthday" salience 10
+            when
+                p: Person(age >= 18)
+                e: Event(category == "Birthday", personName == p.name)
+            then
+                insert Greeting(to: p.name, message: "Happy birthday, " + p.name + "!")
+            end
+        `);
+        engine.addFact({ type: 'Person', name: 'Frodo', age: 50 });
+        engine.addFact({ type: 'Person', name: 'Pippin', age: 17 });
+        engine.addFact({ type: 'Event', category: 'Birthday', personName: 'Frodo' });
+        engine.addFact({ type: 'Event', category: 'Birthday', personName: 'Pippin' });
+        engine.run();
+
+        expect(rules.map(r => r.name)).toEqual(['AdultBirthday']);
+        expect(engine.getRule('AdultBirthday').salience).toBe(10);
+        expect(greetings()).toEqual([{ type: 'Greeting', to: 'Frodo', message: 'Happy birthday, Frodo!' }]);
+    });
+
+    test('operators, nested attributes and literals', () => {
+        const [rule] = parseRules(`
+            rule Probe when
+                x: Person(
+                    race in ("Elf", 'Man'), home.realm not in ("Mordor"),
+                    name matches "^[A-Z]\\w+$", age > -1, age <= 3000,
+                    alive == true, title != null
+                )
+            then end
+        `);
+        expect(rule.conditions).toEqual({
+            var: 'x',
+            type: 'Person',
+            where: {
+                race: { $in: ['Elf', 'Man'] },
+                'home.realm': { $nin: ['Mordor'] },
+                name: { $regex: '^[A-Z]\\w+$' },
+                age: { $gt: -1, $lte: 3000 },
+                alive: true,
+                title: { $ne: null }
+            }
+        });
+    });
+
+    test('not, exists, or and grouping', () => {
+        const [rule] = parseRules(`
+            rule Probe
+            when
+                p: Person()
+                not Party(host == p.name)
+                exists (Invitation(guest == p.name) and Letter(to == p.name))
+                Elf() or Dwarf()
+            then
+            end
+        `);
+        expect(rule.conditions).toEqual({
+            all: [
+                { var: 'p', type: 'Person' },
+                { not: { type: 'Party', where: { host: { $ref: 'p.name' } } } },
+                {
+                    exists: {
+                        all: [
+                            { type: 'Invitation', where: { guest: { $ref: 'p.name' } } },
+                            { type: 'Letter', where: { to: { $ref: 'p.name' } } }
+                        ]
+                    }
+                },
+                { any: [{ type: 'Elf' }, { type: 'Dwarf' }] }
+            ]
+        });
+    });
+
+    test('variables bound in every branch of an or stay bound', () => {
+        engine.loadRules('rule "Retire" when p: Person(age > 60) or p: Person(vip == true) then retract p end');
+        engine.addFact({ type: 'Person', age: 70 });
+        engine.addFact({ type: 'Person', vip: true });
+        engine.addFact({ type: 'Person', age: 30 });
+        engine.run();
+        expect(engine.query('Person').execute()).toHaveLength(1);
+    });
+
+    test('rule attributes', () => {
+        const [rule] = parseRules(`
+            rule "Discount"
+                agenda-group "pricing"
+                activation-group "discount"
+                no-loop
+                lock-on-active false
+            when Order() then end
+        `);
+        expect(rule).toMatchObject({
+            agendaGroup: 'pricing', activationGroup: 'discount', noLoop: true, lockOnActive: false
+        });
+    });
+
+    test('modify, retract and halt', () => {
+        engine.loadRules(`
+            // Age everyone by a year, once
+            rule "Birthday" no-loop
+            when p: Person(age < 100) then
+                modify p(age: p.age + 1, note: "was " + p.age);
+            end
+
+            /* Centenarians leave */
+            rule "Farewell" when p: Person(age >= 100) then
+                retract p
+                halt
+            end
+        `);
+        engine.addFact({ type: 'Person', name: 'Bilbo', age: 99 });
+        engine.addFact({ type: 'Person', name: 'Sam', age: 38 });
+
+        expect(engine.run().reason).toBe('halted');
+        expect(engine.query('Person').execute().map(f => f.data))
+            .toEqual([{ type: 'Person', name: 'Sam', age: 39, note: 'was 38' }]);
+    });
+
+    test('insertLogical and arithmetic precedence', () => {
+        engine.loadRules(`
+            rule "Total" when o: Order() then
+                insertLogical Invoice(amount: (o.price - o.discount) * o.quantity + 2 * 3)
+            end
+        `);
+        engine.addFact({ type: 'Order', price: 10, discount: 2, quantity: 3 });
+        engine.run();
+        const [invoice] = engine.query('Invoice').execute();
+        expect(invoice.data.amount).toBe(30);
+
+        engine.removeFact(engine.query('Order').execute()[0].id);
+        expect(engine.query('Invoice').execute()).toEqual([]);
+    });
+
+    test('actions call the functions they are given', async () => {
+        const notify = jest.fn();
+        const save = jest.fn(() => Promise.resolve());
+        engine.loadRules(`
+            rule "Notify" when p: Person() then
+                save(p)
+                notify(p.name, "saved", 1)
+            end
+        `, { functions: { notify, save } });
+        engine.addFact({ type: 'Person', name: 'Merry' });
+
+        await engine.runAsync();
+        expect(save.mock.calls[0][0].data.name).toBe('Merry');
+        expect(notify).toHaveBeenCalledWith('Merry', 'saved', 1);
+        expect(save.mock.invocationCallOrder[0]).toBeLessThan(notify.mock.invocationCallOrder[0]);
+    });
+
+    test('parse errors report line and column', () => {
+        const errorOf = source => {
+            try {
+                parseRules(source);
+            } catch (error) {
+                return error;
+            }
+            throw new Error('Expected a parse error');
+        };
+
+        const missingParen = errorOf('rule "A"\nwhen\n    p: Person(age >= 18\nthen end');
+        expect(missingParen.message)
+            .toBe('Parse error at line 4, column 1: Expected ")" but found "then".');
+        expect(missingParen).toMatchObject({ line: 4, column: 1 });
+
+        expect(errorOf('rule "A" when Person(age >= ) then end').message)
+            .toMatch(/line 1, column 29: Expected a value but found "\)"/);
+        expect(errorOf('rule "A" when Person(name == "Bob) then end').message)
+            .toMatch(/line 1, column 30: Unterminated string/);
+        expect(errorOf('rule "A" when Person(age ~ 3) then end').message)
+            .toMatch(/line 1, column 26: Unexpected character "~"/);
+        expect(errorOf('rule "A" when then end').message)
+            .toMatch(/line 1, column 15: Expected a condition but found "then"/);
+        expect(errorOf('rule "A" when p: Person() then\n  retract q\nend').message)
+            .toMatch(/line 2, column 11: Unknown variable "q"/);
+        expect(errorOf('rule "A" when Person() then\n  notify()\nend').message)
+            .toMatch(/line 2, column 3: Unknown function "notify"/);
+        expect(errorOf('rule "A" priority 3 when Person() then end').message)
+            .toMatch(/line 1, column 10: Expected "when" or a rule attribute but found "priority"/);
+        expect(errorOf('rule "A" when Person(a > 1, a > 2) then end').message)
+            .toMatch(/line 1, column 29: Duplicate ">" constraint on "a"/);
+        expect(errorOf('rule "A" when not p: Person() then retract p end').message)
+            .toMatch(/Unknown variable "p"/);
+        expect(errorOf('rule "A" when\n  Person(x == q.y)\nthen end').message)
+            .toMatch(/line 2, column 15: Unknown variable "q"/);
+        expect(errorOf('rule "A" when p: Person() or q: Animal() then\n  modify q(x: 1)\nend').message)
+            .toMatch(/line 2, column 10: Unknown variable "q"/);
+        expect(errorOf('rule "A" when p: Person() or q: Animal()\n  Event(name == p.name)\nthen end').message)
+            .toMatch(/line 2, column 17: Unknown variable "p"/);
+        expect(errorOf('rule "A" when p: Person(age > p.min) then end').message)
+            .toMatch(/line 1, column 31: Unknown variable "p"/);
+        expect(errorOf('rule "A" when Person() then end\nrule "A" when Person() then end').message)
+            .toMatch(/line 2, column 6: Rule "A" is defined more than once/);
+        expect(errorOf('rule "A" when Person() then').message)
+            .toMatch(/Expected a statement or "end" but found the end of the input/);
+    });
+
+    test('loadRules adds all of the rules or none', () => {
+        engine.addRule({ name: 'Taken', conditions: { type: 'Person' }, action: () => {} });
+        const source = `
+            rule "Fine" when p: Person() then end
+            rule "Taken" when Event() then end
+        `;
+        expect(() => engine.loadRules(source)).toThrow(/Rule "Taken" already exists/);
+        expect(engine.getRule('Fine')).toBeUndefined();
+        engine.removeRule('Taken');
+
+        engine.loadRules('rule "Fine" when Person() then end');
+        expect(() => engine.loadRules('rule "Fine" when Person() then end')).toThrow(/already exists/);
+        expect(engine.rules).toHaveLength(1);
+    });
+});
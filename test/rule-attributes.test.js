@@ -0,0 +1,154 @@
+import { RulesEngine } from '../index.js';
+
+describe('Rule attributes', () => {
+    let engine;
+    let fired;
+
+    beforeEach(() => {
+        engine = new RulesEngine();
+        fired = [];
+    });
+
+    describe('activationGroup', () => {
+        test('only the first rule of the group fires', () => {
+            engine.addFact({ type: 'Order', amount: 500 });
+            for (const [name, salience] of [['GoldDiscount', 10], ['SilverDiscount', 5], ['NoDiscount', 0]]) {
+                engine.addRule({
+                    name,
+                    salience,
+                    activationGroup: 'discount',
+                    conditions: { type: 'Order' },
+                    action: () => fired.push(name)
+                });
+            }
+            engine.addRule({
+                name: 'Audit',
+                conditions: { type: 'Order' },
+                action: () => fired.push('Audit')
+            });
+
+            engine.run();
+            expect(fired).toEqual(['GoldDiscount', 'Audit']);
+        });
+
+        test('matches made after the group fired are not cancelled', () => {
+            engine.addFact({ type: 'Order', id: 1 });
+            engine.addRule({
+                name: 'First',
+                salience: 10,
+                activationGroup: 'g',
+                conditions: { var: 'o', type: 'Order' },
+                action: (facts, eng, { o }) => {
+                    fired.push(`First:${o.data.id}`);
+                    if (o.data.id === 1) eng.addFact({ type: 'Order', id: 2 });
+                }
+            });
+            engine.addRule({
+                name: 'Second',
+                activationGroup: 'g',
+                conditions: { var: 'o', type: 'Order' },
+                action: (facts, eng, { o }) => fired.push(`Second:${o.data.id}`)
+            });
+
+            engine.run();
+            expect(fired).toEqual(['First:1', 'First:2']);
+        });
+    });
+
+    describe('noLoop', () => {
+        const addCounterRule = noLoop => engine.addRule({
+            name: 'Increment',
+            noLoop,
+            conditions: { var: 'c', type: 'Counter', test: c => c.value < 5 },
+            action: (facts, eng, { c }) => {
+                fired.push(c.data.value);
+                eng.removeFact(c.id);
+                eng.addFact({ type: 'Counter', value: c.data.value + 1 });
+            }
+        });
+
+        test('a rule does not fire for matches made by its own action', () => {
+            engine.addFact({ type: 'Counter', value: 0 });
+            addCounterRule(true);
+
+            engine.run();
+            expect(fired).toEqual([0]);
+        });
+
+        test('without noLoop the rule keeps re-activating itself', () => {
+            engine.addFact({ type: 'Counter', value: 0 });
+            addCounterRule(false);
+
+            engine.run();
+            expect(fired).toEqual([0, 1, 2, 3, 4]);
+        });
+
+        test('matches made by other rules still fire', () => {
+            engine.addFact({ type: 'Counter', value: 0 });
+            addCounterRule(true);
+            engine.addRule({
+                name: 'Reset',
+                conditions: { var: 'c', type: 'Counter', test: c => c.value === 1 },
+                action: (facts, eng, { c }) => {
+                    eng.removeFact(c.id);
+                    eng.addFact({ type: 'Counter', value: 3 });
+                }
+            });
+
+            engine.run();
+            expect(fired).toEqual([0, 3]);
+        });
+    });
+
+    describe('lockOnActive', () => {
+        const addRules = lockOnActive => {
+            engine.addRule({
+                name: 'Price',
+                agendaGroup: 'pricing',
+                lockOnActive,
+                conditions: { var: 'o', type: 'Order' },
+                action: (facts, eng, { o }) => fired.push(`Price:${o.data.id}`)
+            });
+            engine.addRule({
+                name: 'Split',
+                agendaGroup: 'pricing',
+                salience: 10,
+                conditions: { var: 'o', type: 'Order', test: o => o.id === 1 },
+                action: (facts, eng) => {
+                    fired.push('Split');
+                    eng.addFact({ type: 'Order', id: 2 });
+                }
+            });
+        };
+
+        test('suppresses new matches while the group has the focus', () => {
+            engine.addFact({ type: 'Order', id: 1 });
+            addRules(true);
+
+            engine.setFocus('pricing');
+            engine.run();
+            expect(fired).toEqual(['Split', 'Price:1']);
+        });
+
+        test('without lockOnActive new matches fire', () => {
+            engine.addFact({ type: 'Order', id: 1 });
+            addRules(false);
+
+            engine.setFocus('pricing');
+            engine.run();
+            expect(fired).toEqual(['Split', 'Price:1', 'Price:2']);
+        });
+
+        test('the lock is taken again on the next run', () => {
+            engine.addFact({ type: 'Order', id: 1 });
+            addRules(true);
+
+            engine.setFocus('pricing');
+            engine.run();
+            engine.addFact({ type: 'Order', id: 3 });
+            engine.setFocus('pricing');
+            engine.run();
+            expect(fired).toEqual(['Split', 'Price:1', 'Price:3']);
+        });
+    });
+});
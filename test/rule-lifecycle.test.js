@@ -0,0 +1,129 @@
+import { jest } from '@jest/globals';
+import { RulesEngine } from '../index.js';
+
+describe('Rule lifecycle', () => {
+    let engine;
+    let priced;
+
+    const pricingRule = (discount = 0) => ({
+        name: 'Pricing',
+        conditions: { var: 'o', type: 'Order' },
+        action: (facts, eng, { o }) => priced.push([o.data.id, discount])
+    });
+
+    beforeEach(() => {
+        engine = new RulesEngine();
+        priced = [];
+    });
+
+    test('rejects duplicate rule names', () => {
+        engine.addRule(pricingRule());
+        expect(() => engine.addRule(pricingRule())).toThrow(/Rule "Pricing" already exists/);
+    });
+
+    test('a removed rule no longer fires and its memories are released', () => {
+        engine.addRule({
+            name: 'OrderCount',
+            conditions: {
+                type: 'Order',
+                accumulate: { initial: () => 0, reduce: n => n + 1, retract: n => n - 1 }
+            },
+            action: () => {}
+        });
+        engine.addRule(pricingRule());
+        engine.addFact({ type: 'Order', id: 1 });
+        engine.collectMatches();
+        const memoriesBefore = engine.wmi.nodeMemories.size;
+
+        engine.removeRule('OrderCount');
+        expect(engine.wmi.nodeMemories.size).toBeLessThan(memoriesBefore);
+        expect(engine.getRule('OrderCount')).toBeUndefined();
+
+        engine.run();
+        expect(engine.collectMatches().map(a => a.rule.name)).toEqual(['Pricing']);
+        expect(() => engine.removeRule('OrderCount')).toThrow(/No rule found with name "OrderCount"/);
+    });
+
+    test('removing a rule keeps the refraction of rules whose name starts like it', () => {
+        const fired = [];
+        for (const name of ['a', 'a::b']) {
+            engine.addRule({ name, conditions: { type: 'Order' }, action: () => fired.push(name) });
+        }
+        engine.addFact({ type: 'Order', id: 1 });
+        engine.run();
+
+        engine.removeRule('a');
+        engine.run();
+        expect(fired.sort()).toEqual(['a', 'a::b']);
+    });
+
+    test('removing a rule retracts the facts it inserted logically', () => {
+        engine.addRule({
+            name: 'Flag',
+            conditions: { var: 'o', type: 'Order' },
+            action: (facts, eng, { o }) => eng.insertLogical({ type: 'Flag', orderId: o.data.id })
+        });
+        engine.addFact({ type: 'Order', id: 1 });
+        engine.run();
+        expect(engine.query('Flag').execute()).toHaveLength(1);
+
+        engine.removeRule('Flag');
+        expect(engine.query('Flag').execute()).toHaveLength(0);
+    });
+
+    test('a disabled rule keeps matching and resumes where it left off', () => {
+        engine.addRule(pricingRule());
+        engine.addFact({ type: 'Order', id: 1 });
+        engine.run();
+
+        engine.disableRule('Pricing');
+        engine.addFact({ type: 'Order', id: 2 });
+        engine.run();
+        expect(priced).toEqual([[1, 0]]);
+
+        engine.enableRule('Pricing');
+        engine.run();
+        expect(priced).toEqual([[1, 0], [2, 0]]);
+    });
+
+    test('an action can disable a rule for the rest of the batch', () => {
+        engine.addRule(pricingRule());
+        engine.addRule({
+            name: 'Kill',
+            salience: 10,
+            conditions: { type: 'Order' },
+            action: (facts, eng) => eng.disableRule('Pricing')
+        });
+        engine.addFact({ type: 'Order', id: 1 });
+
+        engine.run();
+        expect(priced).toEqual([]);
+    });
+
+    test('replaceRule swaps the definition and resets its refraction', () => {
+        engine.addRule(pricingRule());
+        engine.addFact({ type: 'Order', id: 1 });
+        engine.run();
+
+        engine.replaceRule(pricingRule(10));
+        engine.run();
+        expect(priced).toEqual([[1, 0], [1, 10]]);
+        expect(engine.rules).toHaveLength(1);
+    });
+
+    test('replaceRule keeps the old rule when the new one does not compile', () => {
+        const action = jest.fn();
+        engine.addRule({ name: 'Pricing', conditions: { type: 'Order' }, action });
+        engine.addFact({ type: 'Order', id: 1 });
+
+        expect(() => engine.replaceRule({
+            name: 'Pricing',
+            conditions: { type: 'Order', groupBy: 'region' },
+            action
+        })).toThrow(/groupBy/);
+        expect(() => engine.replaceRule({ name: 'Unknown', conditions: {}, action })).toThrow(/No rule found/);
+
+        engine.run();
+        expect(action).toHaveBeenCalledTimes(1);
+    });
+});
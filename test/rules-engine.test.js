@@ -339,6 +339,21 @@ describe('RulesEngine Extended Tests', () => {
         }).toThrowError(/Max cycles/);
     });
 
+    test('max cycles guard allows rule sets that stop on their own', () => {
+        // A -> B -> C fires in 3 cycles
+        const chained = new RulesEngine({ maxCycles: 4 });
+        chained.addRule({ name: 'AB', conditions: { type: 'A' }, action: (facts, eng) => eng.addFact({ type: 'B' }) });
+        chained.addRule({ name: 'BC', conditions: { type: 'B' }, action: (facts, eng) => eng.addFact({ type: 'C' }) });
+        chained.addRule({ name: 'C', conditions: { type: 'C' }, action: () => {} });
+        chained.addFact({ type: 'A' });
+        expect(chained.run()).toEqual({ reason: 'stable', cycles: 3, fired: 3 });
+
+        const single = new RulesEngine({ maxCycles: 2 });
+        single.addRule({ name: 'Once', conditions: { type: 'A' }, action: () => {} });
+        single.addFact({ type: 'A' });
+        expect(single.run()).toEqual({ reason: 'stable', cycles: 1, fired: 1 });
+    });
+
     // ---------------------------------------------------------------------------
     // 5. Error and Exception Handling
     // ---------------------------------------------------------------------------
@@ -758,3 +773,226 @@ describe('Negation with type-only conditions', () => {
         expect(firings[1].factCount).toBe(4);
     });
 });
+
+// ---------------------------------------------------------------------------
+// Correlated not / exists tests
+// ---------------------------------------------------------------------------
+
+describe('Correlated negation and existence', () => {
+    test('not with a join is evaluated per left token', () => {
+        const engine = new RulesEngine();
+        engine.addFact({ type: 'Person', id: 1, name: 'Alice' });
+        engine.addFact({ type: 'Person', id: 2, name: 'Bob' });
+        engine.addFact({ type: 'Pet', ownerId: 1 });
+
+        const actionSpy = jest.fn();
+        engine.addRule({
+            name: 'PersonWithoutPet',
+            conditions: {
+                all: [
+                    { var: 'p', type: 'Person' },
+                    { not: { type: 'Pet', join: { ownerId: 'p.id' } } }
+                ]
+            },
+            action: (facts, eng, { p }) => actionSpy(p.data.name)
+        });
+
+        engine.run();
+        expect(actionSpy.mock.calls).toEqual([['Bob']]);
+    });
+
+    test('beta tests inside not see outer bindings', () => {
+        const engine = new RulesEngine();
+        const alice = engine.addFact({ type: 'Person', id: 1, name: 'Alice' });
+        engine.addFact({ type: 'Pet', ownerId: 1, species: 'cat' });
+
+        const actionSpy = jest.fn();
+        engine.addRule({
+            name: 'PersonWithoutDog',
+            conditions: {
+                all: [
+                    { var: 'p', type: 'Person' },
+                    {
+                        not: {
+                            all: [
+                                { var: 'pet', type: 'Pet', test: pet => pet.species === 'dog' },
+                                { test: (facts, { p, pet }) => pet.data.ownerId === p.data.id }
+                            ]
+                        }
+                    }
+                ]
+            },
+            action: (facts, eng, { p }) => actionSpy(p.data.name)
+        });
+
+        expect(engine.collectMatches()).toHaveLength(1);
+
+        // Giving Alice a dog blocks the match
+        engine.addFact({ type: 'Pet', ownerId: alice.data.id, species: 'dog' });
+        expect(engine.collectMatches()).toHaveLength(0);
+    });
+
+    test('exists fires once per left token that has a correlated match', () => {
+        const engine = new RulesEngine();
+        engine.addFact({ type: 'Team', id: 'red' });
+        engine.addFact({ type: 'Team', id: 'blue' });
+        engine.addFact({ type: 'Player', teamId: 'red' });
+        engine.addFact({ type: 'Player', teamId: 'red' });
+
+        const actionSpy = jest.fn();
+        engine.addRule({
+            name: 'TeamWithPlayers',
+            conditions: {
+                all: [
+                    { var: 't', type: 'Team' },
+                    { exists: { type: 'Player', join: { teamId: 't.id' } } }
+                ]
+            },
+            action: (facts, eng, { t }) => actionSpy(t.data.id)
+        });
+
+        engine.run();
+        expect(actionSpy.mock.calls).toEqual([['red']]);
+    });
+
+    test('correlated not reacts to removals and updates', () => {
+        const engine = new RulesEngine();
+        engine.addFact({ type: 'Person', id: 1 });
+        const pet = engine.addFact({ type: 'Pet', ownerId: 1 });
+
+        engine.addRule({
+            name: 'PersonWithoutPet',
+            conditions: {
+                all: [
+                    { var: 'p', type: 'Person' },
+                    { not: { type: 'Pet', join: { ownerId: 'p.id' } } }
+                ]
+            },
+            action: () => {}
+        });
+
+        expect(engine.collectMatches()).toHaveLength(0);
+
+        engine.updateFact(pet.id, { ownerId: 2 });
+        expect(engine.collectMatches()).toHaveLength(1);
+
+        engine.updateFact(pet.id, { ownerId: 1 });
+        expect(engine.collectMatches()).toHaveLength(0);
+
+        engine.removeFact(pet.id);
+        expect(engine.collectMatches()).toHaveLength(1);
+    });
+
+    test('nested correlated not can refer to every enclosing binding', () => {
+        const engine = new RulesEngine();
+        engine.addFact({ type: 'Person', id: 1, name: 'Alice' });
+        engine.addFact({ type: 'Person', id: 2, name: 'Bob' });
+        engine.addFact({ type: 'Pet', id: 'p1', ownerId: 1 });
+        engine.addFact({ type: 'Pet', id: 'p2', ownerId: 2 });
+        engine.addFact({ type: 'Vaccination', petId: 'p1' });
+
+        const actionSpy = jest.fn();
+        // A person who has a pet without any vaccination
+        engine.addRule({
+            name: 'UnvaccinatedPetOwner',
+            conditions: {
+                all: [
+                    { var: 'p', type: 'Person' },
+                    {
+                        exists: {
+                            all: [
+                                { var: 'pet', type: 'Pet', join: { ownerId: 'p.id' } },
+                                { not: { type: 'Vaccination', join: { petId: 'pet.id' } } }
+                            ]
+                        }
+                    }
+                ]
+            },
+            action: (facts, eng, { p }) => actionSpy(p.data.name)
+        });
+
+        engine.run();
+        expect(actionSpy.mock.calls).toEqual([['Bob']]);
+    });
+
+    test('bindings made inside not do not leak out of it', () => {
+        const engine = new RulesEngine();
+        expect(() => engine.addRule({
+            name: 'LeakyBinding',
+            conditions: {
+                all: [
+                    { var: 'p', type: 'Person' },
+                    { not: { var: 'pet', type: 'Pet' } },
+                    { type: 'Vet', join: { petId: 'pet.id' } }
+                ]
+            },
+            action: () => {}
+        })).toThrow(/not bound by an earlier condition/);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Refraction tests
+// ---------------------------------------------------------------------------
+
+describe('Refraction', () => {
+    let engine;
+    let actionSpy;
+
+    beforeEach(() => {
+        engine = new RulesEngine();
+        actionSpy = jest.fn();
+        engine.addRule({
+            name: 'HighScore',
+            conditions: { var: 'p', type: 'Player', test: p => p.score > 100 },
+            action: (facts, eng, { p }) => actionSpy(p.data.score)
+        });
+    });
+
+    test('a rule fires again for the same facts once one of them is updated', () => {
+        const player = engine.addFact({ type: 'Player', score: 150 });
+        engine.run();
+        engine.run();
+        expect(actionSpy.mock.calls).toEqual([[150]]);
+
+        engine.updateFact(player.id, { score: 200 });
+        engine.run();
+        expect(actionSpy.mock.calls).toEqual([[150], [200]]);
+    });
+
+    test('a match that stops holding fires again when it comes back', () => {
+        const player = engine.addFact({ type: 'Player', score: 150 });
+        engine.run();
+
+        engine.updateFact(player.id, { score: 50 });
+        engine.run();
+        engine.updateFact(player.id, { score: 150 });
+        engine.run();
+        expect(actionSpy.mock.calls).toEqual([[150], [150]]);
+    });
+
+    test('negations fire again once the blocking fact is gone', () => {
+        const noPlayersSpy = jest.fn();
+        engine.addRule({
+            name: 'NoPlayers',
+            conditions: { not: { type: 'Player' } },
+            action: noPlayersSpy
+        });
+
+        engine.run();
+        const player = engine.addFact({ type: 'Player', score: 0 });
+        engine.run();
+        engine.removeFact(player.id);
+        engine.run();
+        expect(noPlayersSpy).toHaveBeenCalledTimes(2);
+    });
+
+    test('resetRefraction lets current matches fire again', () => {
+        engine.addFact({ type: 'Player', score: 150 });
+        engine.run();
+
+        engine.resetRefraction();
+        engine.run();
+        expect(actionSpy.mock.calls).toEqual([[150], [150]]);
+    });
+});
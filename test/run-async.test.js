@@ -0,0 +1,179 @@
+import { RulesEngine } from '../index.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('runAsync', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new RulesEngine();
+    });
+
+    test('awaits actions in agenda order', async () => {
+        const log = [];
+        for (const [name, salience] of [['Low', 1], ['High', 10]]) {
+            engine.addRule({
+                name,
+                salience,
+                conditions: { type: 'Order' },
+                action: async () => {
+                    log.push(`${name}:start`);
+                    await tick();
+                    log.push(`${name}:end`);
+                }
+            });
+        }
+        engine.addFact({ type: 'Order' });
+
+        await engine.runAsync();
+        expect(log).toEqual(['High:start', 'High:end', 'Low:start', 'Low:end']);
+    });
+
+    test('facts inserted after an await are matched in later cycles', async () => {
+        engine.addRule({
+            name: 'LookupPrice',
+            conditions: { var: 'o', type: 'Order' },
+            action: async (facts, eng, { o }) => {
+                await tick();
+                eng.addFact({ type: 'Price', orderId: o.data.id, amount: 42 });
+            }
+        });
+        const totals = [];
+        engine.addRule({
+            name: 'Total',
+            conditions: { var: 'p', type: 'Price' },
+            action: (facts, eng, { p }) => totals.push(p.data.amount)
+        });
+        engine.addFact({ type: 'Order', id: 1 });
+
+        await engine.runAsync();
+        expect(totals).toEqual([42]);
+    });
+
+    test('keeps the maxCycles guard', async () => {
+        engine = new RulesEngine({ maxCycles: 3 });
+        engine.addRule({
+            name: 'Forever',
+            conditions: { type: 'Tick' },
+            action: async (facts, eng) => {
+                await tick();
+                eng.addFact({ type: 'Tick' });
+            }
+        });
+        engine.addFact({ type: 'Tick' });
+
+        await expect(engine.runAsync()).rejects.toThrow(/Max cycles \(3\) reached/);
+    });
+
+    test('runs independent activations concurrently, up to the limit', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        engine.addRule({
+            name: 'Save',
+            conditions: { type: 'Order' },
+            action: async () => {
+                maxRunning = Math.max(maxRunning, ++running);
+                await tick();
+                running--;
+            }
+        });
+        for (let i = 0; i < 5; i++) {
+            engine.addFact({ type: 'Order', id: i });
+        }
+
+        await engine.runAsync({ concurrency: 2 });
+        expect(maxRunning).toBe(2);
+    });
+
+    test('activations that share a fact do not run concurrently', async () => {
+        const log = [];
+        for (const name of ['A', 'B']) {
+            engine.addRule({
+                name,
+                conditions: { type: 'Order' },
+                action: async () => {
+                    log.push(`${name}:start`);
+                    await tick();
+                    log.push(`${name}:end`);
+                }
+            });
+        }
+        engine.addFact({ type: 'Order' });
+
+        await engine.runAsync({ concurrency: 4 });
+        expect(log).toEqual(['A:start', 'A:end', 'B:start', 'B:end']);
+    });
+
+    test('rejects with the action error once running actions have settled', async () => {
+        const finished = [];
+        engine.addRule({
+            name: 'Fails',
+            salience: 10,
+            conditions: { var: 'o', type: 'Order', test: o => o.id === 1 },
+            action: async () => {
+                await tick();
+                throw new Error('database unavailable');
+            }
+        });
+        engine.addRule({
+            name: 'Slow',
+            conditions: { var: 'o', type: 'Order', test: o => o.id === 2 },
+            action: async () => {
+                await tick();
+                await tick();
+                finished.push('Slow');
+            }
+        });
+        engine.addFact({ type: 'Order', id: 1 });
+        engine.addFact({ type: 'Order', id: 2 });
+
+        await expect(engine.runAsync({ concurrency: 2 })).rejects.toThrow('database unavailable');
+        expect(finished).toEqual(['Slow']);
+    });
+
+    test('tracing and insertLogical work after an await', async () => {
+        engine = new RulesEngine({ trace: true });
+        engine.addRule({
+            name: 'Flag',
+            conditions: { var: 'o', type: 'Order', test: o => o.amount > 100 },
+            action: async (facts, eng, { o }) => {
+                await tick();
+                eng.insertLogical({ type: 'Review', orderId: o.data.id });
+            }
+        });
+        const order = engine.addFact({ type: 'Order', id: 1, amount: 500 });
+
+        await engine.runAsync();
+        expect(engine.getExecutionTrace()[0].factsAdded).toEqual([{ type: 'Review', orderId: 1 }]);
+
+        engine.updateFact(order.id, { amount: 50 });
+        expect(engine.query('Review').execute()).toHaveLength(0);
+    });
+
+    test('concurrent actions are rolled back and traced after an await too', async () => {
+        engine = new RulesEngine({ onActionError: 'rollback-and-continue', trace: true });
+        engine.addRule({
+            name: 'Reserve',
+            conditions: { var: 'o', type: 'Order' },
+            action: async (facts, eng, { o }) => {
+                await tick();
+                eng.addFact({ type: 'Reservation', orderId: o.data.id });
+                await tick();
+                eng.insertLogical({ type: 'Hold', orderId: o.data.id });
+                if (o.data.id === 1) throw new Error('out of stock');
+            }
+        });
+        engine.addFact({ type: 'Order', id: 1 });
+        engine.addFact({ type: 'Order', id: 2 });
+
+        await engine.runAsync({ concurrency: 2 });
+        const orderIds = type => engine.query(type).execute().map(f => f.data.orderId);
+        expect(orderIds('Reservation')).toEqual([2]);
+        expect(orderIds('Hold')).toEqual([2]);
+        expect(engine.getExecutionTrace().map(entry => entry.factsAdded.map(f => f.orderId))).toEqual([[2, 2], [1, 1]]);
+    });
+
+    test('rejects an invalid concurrency', async () => {
+        await expect(engine.runAsync({ concurrency: 0 })).rejects.toThrow(/concurrency must be a positive integer/);
+    });
+});
@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+import { RulesEngine } from '../index.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('Run control', () => {
+    let engine;
+    let fired;
+
+    beforeEach(() => {
+        engine = new RulesEngine();
+        fired = [];
+        engine.addRule({
+            name: 'Process',
+            conditions: { var: 't', type: 'Task' },
+            action: (facts, eng, { t }) => {
+                fired.push(t.data.id);
+                if (t.data.stop) eng.halt();
+            }
+        });
+    });
+
+    const addTasks = (...tasks) => tasks.forEach(t => engine.addFact({ type: 'Task', ...t }));
+
+    test('run returns why it stopped', () => {
+        addTasks({ id: 1 }, { id: 2 });
+        expect(engine.run()).toEqual({ reason: 'stable', cycles: 1, fired: 2 });
+        expect(engine.run()).toEqual({ reason: 'stable', cycles: 0, fired: 0 });
+    });
+
+    test('halt finishes the current firing and stops the run', () => {
+        addTasks({ id: 1 }, { id: 2, stop: true }, { id: 3 });
+
+        // Most recent first => 3, then 2 halts before 1 fires
+        expect(engine.run()).toEqual({ reason: 'halted', cycles: 1, fired: 2 });
+        expect(fired).toEqual([3, 2]);
+
+        // The next run picks up where the halted one left off
+        expect(engine.run().reason).toBe('stable');
+        expect(fired.sort()).toEqual([1, 2, 3]);
+    });
+
+    test('halt outside of a run has no effect', () => {
+        engine.halt();
+        addTasks({ id: 1 });
+        expect(engine.run().reason).toBe('stable');
+        expect(fired).toEqual([1]);
+    });
+
+    test('an aborted signal stops the run before the next firing', () => {
+        addTasks({ id: 1 }, { id: 2 });
+        const controller = new AbortController();
+        engine.addRule({
+            name: 'Abort',
+            salience: 10,
+            conditions: { type: 'Task', test: t => t.id === 1 },
+            action: () => controller.abort()
+        });
+
+        expect(engine.run({ signal: controller.signal })).toEqual({ reason: 'aborted', cycles: 1, fired: 1 });
+        expect(fired).toEqual([]);
+    });
+
+    test('a signal aborted up front fires nothing', () => {
+        addTasks({ id: 1 });
+        expect(engine.run({ signal: AbortSignal.abort() })).toEqual({ reason: 'aborted', cycles: 0, fired: 0 });
+    });
+
+    test('timeoutMs stops the run once the budget is spent', () => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+        engine.addRule({
+            name: 'Slow',
+            salience: 10,
+            conditions: { type: 'Task' },
+            action: () => now.mockReturnValue(1500)
+        });
+        addTasks({ id: 1 }, { id: 2 });
+
+        try {
+            expect(engine.run({ timeoutMs: 500 })).toEqual({ reason: 'timeout', cycles: 1, fired: 1 });
+            expect(engine.run({ timeoutMs: 0 }).reason).toBe('timeout');
+        } finally {
+            now.mockRestore();
+        }
+    });
+
+    test('runAsync can be halted from outside while an action is awaited', async () => {
+        engine.addRule({
+            name: 'Slow',
+            salience: 10,
+            conditions: { type: 'Task' },
+            action: tick
+        });
+        addTasks({ id: 1 });
+
+        const running = engine.runAsync();
+        engine.halt();
+        expect(await running).toEqual({ reason: 'halted', cycles: 1, fired: 1 });
+        expect(fired).toEqual([]);
+    });
+});
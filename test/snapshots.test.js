@@ -0,0 +1,190 @@
+import { RulesEngine } from '../index.js';
+
+describe('Snapshots and forks', () => {
+    const ids = (engine, type) => engine.query(type).execute().map(f => f.data.id).sort();
+
+    test('restore rolls back facts inserted, updated and removed since the snapshot', () => {
+        const engine = new RulesEngine();
+        const a = engine.addFact({ type: 'Item', id: 'a', price: 10 });
+        const b = engine.addFact({ type: 'Item', id: 'b', price: 20 });
+
+        const snapshot = engine.snapshot();
+        engine.updateFact(a.id, { price: 99 });
+        engine.removeFact(b.id);
+        engine.addFact({ type: 'Item', id: 'c', price: 30 });
+
+        engine.restore(snapshot);
+        expect(ids(engine, 'Item')).toEqual(['a', 'b']);
+        expect(engine.query('Item').where(i => i.id === 'a').execute()[0].data.price).toBe(10);
+    });
+
+    test('a snapshot can be restored more than once', () => {
+        const engine = new RulesEngine();
+        engine.addRule({
+            name: 'Discount',
+            conditions: { var: 'i', type: 'Item', test: i => !i.discounted },
+            action: (facts, eng, { i }) => {
+                eng.updateFact(i.id, { discounted: true, price: i.data.price / 2 });
+            }
+        });
+        engine.addFact({ type: 'Item', id: 'a', price: 10 });
+        const snapshot = engine.snapshot();
+
+        for (let i = 0; i < 2; i++) {
+            engine.run();
+            expect(engine.query('Item').execute()[0].data.price).toBe(5);
+            engine.restore(snapshot);
+            expect(engine.query('Item').execute()[0].data.price).toBe(10);
+        }
+    });
+
+    test('accumulator state is rebuilt on restore', () => {
+        const engine = new RulesEngine();
+        const totals = [];
+        engine.addRule({
+            name: 'Total',
+            conditions: {
+                type: 'Order',
+                var: 'total',
+                accumulate: {
+                    initial: () => 0,
+                    reduce: (sum, o) => sum + o.data.amount,
+                    retract: (sum, o) => sum - o.data.amount,
+                    test: sum => sum > 0
+                }
+            },
+            action: (facts, eng, { total }) => totals.push(total)
+        });
+
+        engine.addFact({ type: 'Order', amount: 5 });
+        const snapshot = engine.snapshot();
+        engine.addFact({ type: 'Order', amount: 7 });
+
+        engine.restore(snapshot);
+        engine.run();
+        expect(totals).toEqual([5]);
+    });
+
+    test('refraction is restored with the snapshot', () => {
+        const engine = new RulesEngine();
+        const fired = [];
+        engine.addRule({
+            name: 'Greet',
+            conditions: { var: 'p', type: 'Person' },
+            action: (facts, eng, { p }) => fired.push(p.data.name)
+        });
+
+        engine.addFact({ type: 'Person', name: 'Ada' });
+        engine.run();
+        const snapshot = engine.snapshot();
+        engine.addFact({ type: 'Person', name: 'Alan' });
+
+        engine.restore(snapshot);
+        engine.run();
+        expect(fired).toEqual(['Ada']);
+
+        engine.resetRefraction();
+        engine.run();
+        expect(fired).toEqual(['Ada', 'Ada']);
+    });
+
+    test('logically inserted facts keep their support after a restore', () => {
+        const engine = new RulesEngine();
+        engine.addRule({
+            name: 'HotSensorAlert',
+            conditions: { var: 's', type: 'Sensor', test: s => s.temperature > 100 },
+            action: (facts, eng, { s }) => {
+                eng.insertLogical({ type: 'Alert', id: s.data.id });
+            }
+        });
+
+        const sensor = engine.addFact({ type: 'Sensor', id: 's1', temperature: 120 });
+        engine.run();
+        const snapshot = engine.snapshot();
+
+        engine.updateFact(sensor.id, { temperature: 80 });
+        expect(ids(engine, 'Alert')).toEqual([]);
+
+        engine.restore(snapshot);
+        expect(ids(engine, 'Alert')).toEqual(['s1']);
+        engine.updateFact(sensor.id, { temperature: 80 });
+        expect(ids(engine, 'Alert')).toEqual([]);
+    });
+
+    test('a fork and its parent do not see each other\'s changes', () => {
+        const engine = new RulesEngine();
+        const a = engine.addFact({ type: 'Item', id: 'a', price: 10 });
+
+        const fork = engine.fork();
+        fork.updateFact(a.id, { price: 1 });
+        fork.addFact({ type: 'Item', id: 'b', price: 2 });
+        engine.updateFact(a.id, { price: 100 });
+
+        const price = (eng, id) => eng.query('Item').where(i => i.id === id).execute()[0].data.price;
+        expect(price(engine, 'a')).toBe(100);
+        expect(price(fork, 'a')).toBe(1);
+        expect(ids(engine, 'Item')).toEqual(['a']);
+        expect(ids(fork, 'Item')).toEqual(['a', 'b']);
+    });
+
+    test('facts are updated in place, whatever snapshots or forks exist', () => {
+        const engine = new RulesEngine();
+        const seen = [];
+        engine.addRule({
+            name: 'Bump',
+            conditions: { var: 'c', type: 'Counter', test: c => c.x === 1 },
+            action: (facts, eng, { c }) => {
+                eng.updateFact(c.id, { x: 5 });
+                seen.push(c.data.x);
+            }
+        });
+        const counter = engine.addFact({ type: 'Counter', x: 1 });
+        const snapshot = engine.snapshot();
+
+        engine.fork().run();
+        expect(seen).toEqual([5]);
+        expect(counter.data.x).toBe(1);
+
+        expect(engine.updateFact(counter.id, { x: 2 })).toBe(counter);
+        expect(engine.getFact(counter.id)).toBe(counter);
+        expect(counter.data.x).toBe(2);
+
+        engine.restore(snapshot);
+        expect(engine.getFact(counter.id).data.x).toBe(1);
+        expect(snapshot.facts[0].data.x).toBe(1);
+    });
+
+    test('a fork runs the parent\'s rules from the parent\'s state', () => {
+        const engine = new RulesEngine();
+        const fired = [];
+        engine.addRule({
+            name: 'Greet',
+            conditions: { var: 'p', type: 'Person' },
+            action: (facts, eng, { p }) => fired.push(`${eng === engine ? 'parent' : 'fork'}:${p.data.name}`)
+        });
+        engine.addFact({ type: 'Person', name: 'Ada' });
+        engine.run();
+
+        const fork = engine.fork();
+        fork.addFact({ type: 'Person', name: 'Alan' });
+        fork.run();
+        engine.run();
+        expect(fired).toEqual(['parent:Ada', 'fork:Alan']);
+    });
+
+    test('rules added to or removed from a fork do not affect the parent', () => {
+        const engine = new RulesEngine();
+        engine.addRule({ name: 'Shared', conditions: { type: 'Thing' }, action: () => {} });
+
+        const fork = engine.fork();
+        fork.removeRule('Shared');
+        fork.addRule({ name: 'ForkOnly', conditions: { type: 'Thing' }, action: () => {} });
+        fork.disableRule('ForkOnly');
+
+        expect(engine.getRule('Shared')).toBeDefined();
+        expect(engine.getRule('ForkOnly')).toBeUndefined();
+
+        engine.addFact({ type: 'Thing' });
+        expect(engine.collectMatches()).toHaveLength(1);
+    });
+});
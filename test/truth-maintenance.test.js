@@ -0,0 +1,115 @@
+import { RulesEngine } from '../index.js';
+
+describe('Truth maintenance', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new RulesEngine();
+        engine.addRule({
+            name: 'HotSensorAlert',
+            conditions: { var: 's', type: 'Sensor', test: s => s.temperature > 100 },
+            action: (facts, eng, { s }) => {
+                eng.insertLogical({ type: 'Alert', sensorId: s.data.id });
+            }
+        });
+    });
+
+    const alerts = () => engine.query('Alert').execute().map(f => f.data.sensorId);
+
+    test('logical facts are retracted when their match no longer holds', () => {
+        const sensor = engine.addFact({ type: 'Sensor', id: 's1', temperature: 120 });
+        engine.addFact({ type: 'Sensor', id: 's2', temperature: 130 });
+        engine.run();
+        expect(alerts().sort()).toEqual(['s1', 's2']);
+
+        engine.updateFact(sensor.id, { temperature: 80 });
+        expect(alerts()).toEqual(['s2']);
+    });
+
+    test('the rule fires again when its conditions hold again', () => {
+        const sensor = engine.addFact({ type: 'Sensor', id: 's1', temperature: 120 });
+        engine.run();
+
+        engine.updateFact(sensor.id, { temperature: 80 });
+        engine.run();
+        expect(alerts()).toEqual([]);
+
+        engine.updateFact(sensor.id, { temperature: 150 });
+        engine.run();
+        expect(alerts()).toEqual(['s1']);
+    });
+
+    test('retraction cascades through facts derived from logical facts', () => {
+        engine.addRule({
+            name: 'AlertPage',
+            conditions: { var: 'a', type: 'Alert' },
+            action: (facts, eng, { a }) => {
+                eng.insertLogical({ type: 'Page', sensorId: a.data.sensorId });
+            }
+        });
+
+        const sensor = engine.addFact({ type: 'Sensor', id: 's1', temperature: 120 });
+        engine.run();
+        expect(engine.query('Page').execute()).toHaveLength(1);
+
+        engine.removeFact(sensor.id);
+        expect(alerts()).toEqual([]);
+        expect(engine.query('Page').execute()).toHaveLength(0);
+    });
+
+    test('support through negation is lost when a blocking fact is added', () => {
+        engine.addRule({
+            name: 'SafePassage',
+            conditions: { not: { type: 'Orc' } },
+            action: (facts, eng) => {
+                eng.insertLogical({ type: 'SafePassage' });
+            }
+        });
+
+        engine.run();
+        expect(engine.query('SafePassage').execute()).toHaveLength(1);
+
+        engine.addFact({ type: 'Orc', name: 'Snaga' });
+        expect(engine.query('SafePassage').execute()).toHaveLength(0);
+    });
+
+    test('support through an accumulator is lost when the aggregate stops passing', () => {
+        engine.addRule({
+            name: 'Crowded',
+            conditions: {
+                type: 'Visitor',
+                accumulate: {
+                    initial: () => 0,
+                    reduce: count => count + 1,
+                    retract: count => count - 1,
+                    test: count => count >= 2
+                }
+            },
+            action: (facts, eng) => {
+                eng.insertLogical({ type: 'Crowded' });
+            }
+        });
+
+        engine.addFact({ type: 'Visitor' });
+        const visitor = engine.addFact({ type: 'Visitor' });
+        engine.run();
+        expect(engine.query('Crowded').execute()).toHaveLength(1);
+
+        engine.removeFact(visitor.id);
+        expect(engine.query('Crowded').execute()).toHaveLength(0);
+    });
+
+    test('explicitly removing a logical fact is allowed', () => {
+        const sensor = engine.addFact({ type: 'Sensor', id: 's1', temperature: 120 });
+        engine.run();
+
+        const [alert] = engine.query('Alert').execute();
+        engine.removeFact(alert.id);
+        expect(() => engine.updateFact(sensor.id, { temperature: 20 })).not.toThrow();
+        expect(alerts()).toEqual([]);
+    });
+
+    test('insertLogical outside of an action throws', () => {
+        expect(() => engine.insertLogical({ type: 'Alert' })).toThrow(/only be called from a rule action/);
+    });
+});
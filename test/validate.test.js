@@ -0,0 +1,174 @@
+import { RulesEngine, validateRule, validateRules } from '../index.js';
+
+describe('Rule validation', () => {
+    const action = () => {};
+    const rule = conditions => ({ name: 'Probe', conditions, action });
+
+    test('a valid rule has no problems', () => {
+        expect(validateRule(rule({
+            all: [
+                { var: 'p', type: 'Person', where: { age: { $gte: 18 } } },
+                { var: 'e', type: 'Event', join: { personName: 'p.name' } },
+                { not: { all: [{ type: 'Party', where: { host: { $ref: 'p.name' } } }, { test: () => true }] } },
+                {
+                    type: 'Order',
+                    var: 'total',
+                    where: { customer: { $ref: 'p.name' } },
+                    groupBy: 'region',
+                    groupVar: 'region',
+                    accumulate: { initial: () => 0, reduce: (sum, o) => sum + o.data.total }
+                },
+                { type: 'Region', where: { name: { $ref: 'region' } } }
+            ]
+        }))).toEqual([]);
+    });
+
+    test('reports the path of unknown keys, with suggestions', () => {
+        expect(validateRule({ ...rule({ all: [{ type: 'Person' }, { exist: { type: 'Pet' } }] }), priority: 3 })).toEqual([
+            { path: '$.priority', message: 'Unknown key "priority".' },
+            { path: '$.conditions.all[1].exist', message: 'Unknown key "exist". Did you mean "exists"?' }
+        ]);
+        expect(validateRule(rule({ type: 'Person', wehre: { age: 3 } }))).toEqual([
+            { path: '$.conditions.wehre', message: 'Unknown key "wehre". Did you mean "where"?' }
+        ]);
+        expect(validateRule(rule({ not: { type: 'Pet' }, var: 'x' }))).toEqual([
+            { path: '$.conditions.var', message: '"var" can\'t be used on a \'not\' condition.' }
+        ]);
+        expect(validateRule(rule({ type: 'Person', accumulate: { initial: () => 0, reduce: n => n, retarct: n => n } })))
+            .toEqual([
+                { path: '$.conditions.accumulate.retarct', message: 'Unknown key "retarct". Did you mean "retract"?' }
+            ]);
+    });
+
+    test('reports empty conditions and mixed composites', () => {
+        expect(validateRule(rule({ any: [{}, { all: [{ type: 'A' }], not: { type: 'B' } }] }))).toEqual([
+            { path: '$.conditions.any[0]', message: "A condition needs 'type', 'test', 'all', 'any', 'not' or 'exists'." },
+            {
+                path: '$.conditions.any[1]',
+                message: "A condition can only have one of 'all', 'any', 'not' and 'exists', but has 'all' and 'not'."
+            }
+        ]);
+        expect(validateRule(rule({ all: [{ type: 'Dummy', all: [] }] }))[0]).toEqual({
+            path: '$.conditions.all[0]',
+            message: "A condition cannot have both 'type' and composite fields like 'all', 'any', 'not', or 'exists'."
+        });
+        expect(validateRule(rule({ not: [{ type: 'A' }, { type: 'B' }] }))).toEqual([
+            { path: '$.conditions.not', message: "'not' takes a single condition; use { all: [...] } for several." }
+        ]);
+    });
+
+    test('reports a missing name or action, and wrongly typed attributes', () => {
+        expect(validateRule({ conditions: { type: 'Person' }, salience: 'high' })).toEqual([
+            { path: '$.name', message: "A rule needs a 'name' string." },
+            { path: '$.action', message: "A rule needs an 'action' function." },
+            { path: '$.salience', message: "'salience' must be a number." }
+        ]);
+        expect(validateRule({ name: 'Empty', action })).toEqual([
+            { path: '$.conditions', message: "A rule needs 'conditions'." }
+        ]);
+        expect(validateRule(null)).toEqual([{ path: '$', message: 'A rule must be an object.' }]);
+    });
+
+    test("reports 'var' on a bare test", () => {
+        expect(validateRule(rule({ all: [{ type: 'Person' }, { var: 'adult', test: () => true }] }))).toEqual([
+            {
+                path: '$.conditions.all[1].var',
+                message: "'var' can't be used on a bare 'test', which doesn't match a fact. Add a 'type' to bind one."
+            }
+        ]);
+    });
+
+    test('reports variables referenced before they are bound', () => {
+        const problems = validateRule(rule({
+            all: [
+                { var: 'e', type: 'Event', join: { personName: 'p.name' } },
+                { var: 'p', type: 'Person', where: { 'home.realm': { $ref: 'e.realm' }, age: { $gt: { $ref: 'q.age' } } } },
+                { not: { var: 'pet', type: 'Pet' } },
+                { type: 'Vet', where: { petId: { $ref: 'pet.id' } } },
+                { any: [{ type: 'Elf', where: { friend: { $ref: 'p.name' } } }] }
+            ]
+        }));
+        expect(problems.map(p => p.path)).toEqual([
+            '$.conditions.all[0].join.personName',
+            '$.conditions.all[1].where.age',
+            '$.conditions.all[3].where.petId',
+            '$.conditions.all[4].any[0].where.friend'
+        ]);
+        expect(problems[0].message).toBe(
+            'The pattern on type "Event" references variable "p", which is not bound by an earlier condition in the same \'all\'.'
+        );
+    });
+
+    test('variables bound in only some branches of an any are not bound after it', () => {
+        const problems = validateRule(rule({
+            all: [
+                { any: [{ var: 'a', type: 'A' }, { type: 'B' }] },
+                { type: 'C', join: { id: 'a.id' } },
+                { any: [{ var: 'd', type: 'D' }, { all: [{ type: 'E' }, { var: 'd', type: 'D' }] }] },
+                { type: 'F', join: { id: 'd.id' } }
+            ]
+        }));
+        expect(problems.map(p => p.path)).toEqual(['$.conditions.all[1].join.id']);
+        expect(() => new RulesEngine().addRule(rule({
+            all: [{ any: [{ var: 'a', type: 'A' }, { type: 'B' }] }, { type: 'C', join: { id: 'a.id' } }]
+        }))).toThrow(/references variable "a"/);
+    });
+
+    test('reports invalid where, join, accumulate and groupBy values', () => {
+        expect(validateRule(rule({
+            all: [
+                { var: 'c', type: 'Customer', where: { age: { $older: 3 } } },
+                { type: 'Order', join: 'c.name' },
+                { type: 'Order', where: { total: { $gt: { $ref: 'c.limit' } } }, accumulate: { reduce: 3 } },
+                { type: 'Order', groupBy: 'region', groupVar: 'r' }
+            ]
+        }))).toEqual([
+            { path: '$.conditions.all[0].where', message: 'Unknown operator "$older" for "age" in \'where\' on type "Customer".' },
+            { path: '$.conditions.all[1].join', message: "'join' must be an object of attribute: 'variable.path' pairs." },
+            {
+                path: '$.conditions.all[2].where.total',
+                message: 'The accumulator on type "Order" can only use \'$ref\' for equality in \'where\'.'
+            },
+            { path: '$.conditions.all[2].accumulate.initial', message: "An accumulator needs a function for 'initial'." },
+            { path: '$.conditions.all[2].accumulate.reduce', message: "An accumulator needs a function for 'reduce'." },
+            { path: '$.conditions.all[3].groupBy', message: "'groupBy' can only be used together with 'accumulate'." }
+        ]);
+        expect(validateRule(rule({ type: 'Event', join: { personName: 'p.name' } }))).toEqual([
+            { path: '$.conditions.join', message: "'join' is only supported on a pattern inside 'all'." }
+        ]);
+    });
+
+    test('validateRules checks a list of rules', () => {
+        expect(validateRules([
+            rule({ type: 'Person' }),
+            { name: 'Other', conditions: { type: 'Person' } },
+            rule({ type: 'Pet' })
+        ])).toEqual([
+            { path: '$[1].action', message: "A rule needs an 'action' function." },
+            { path: '$[2].name', message: 'Rule "Probe" is already defined at $[0].' }
+        ]);
+        expect(validateRules({})).toEqual([{ path: '$', message: 'Expected an array of rules.' }]);
+    });
+
+    test('addRule and replaceRule reject invalid rules with every problem', () => {
+        const engine = new RulesEngine();
+        let error;
+        try {
+            engine.addRule({ name: 'Broken', conditions: { all: [{ tpye: 'Person' }, { var: 'x', test: () => true }] } });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).toBe([
+            'Invalid DSL in rule "Broken":',
+            "  $.action: A rule needs an 'action' function.",
+            '  $.conditions.all[0].tpye: Unknown key "tpye". Did you mean "type"?',
+            "  $.conditions.all[1].var: 'var' can't be used on a bare 'test', which doesn't match a fact. Add a 'type' to bind one."
+        ].join('\n'));
+        expect(error.problems).toHaveLength(3);
+        expect(engine.rules).toHaveLength(0);
+
+        engine.addRule(rule({ type: 'Person' }));
+        expect(() => engine.replaceRule(rule({ exist: { type: 'Person' } }))).toThrow(/Did you mean "exists"/);
+        expect(engine.getRule('Probe').conditions).toEqual({ type: 'Person' });
+    });
+});
@@ -0,0 +1,170 @@
+import { jest } from '@jest/globals';
+import { RulesEngine } from '../index.js';
+
+describe('Declarative where conditions', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new RulesEngine();
+    });
+
+    const matched = (conditions, varName = 'x') => {
+        engine.addRule({ name: 'Probe', conditions, action: () => {} });
+        return engine.collectMatches().map(a => a.match.bindings[varName].data.name).sort();
+    };
+
+    const addPeople = () => {
+        engine.addFact({ type: 'Person', name: 'Aragorn', age: 87, race: 'Man', home: { realm: 'Gondor' } });
+        engine.addFact({ type: 'Person', name: 'Legolas', age: 2931, race: 'Elf', home: { realm: 'Mirkwood' } });
+        engine.addFact({ type: 'Person', name: 'Gimli', age: 139, race: 'Dwarf' });
+        engine.addFact({ type: 'Person', name: 'Pippin', age: 17, race: 'Hobbit', home: { realm: 'Shire' } });
+    };
+
+    test('comparison and membership operators', () => {
+        addPeople();
+        expect(matched({ var: 'x', type: 'Person', where: { age: { $gte: 18 }, race: { $in: ['Elf', 'Man'] } } }))
+            .toEqual(['Aragorn', 'Legolas']);
+
+        engine = new RulesEngine();
+        addPeople();
+        expect(matched({ var: 'x', type: 'Person', where: { race: { $nin: ['Elf', 'Man'] }, age: { $ne: 17 } } }))
+            .toEqual(['Gimli']);
+    });
+
+    test('nested attributes, as objects or dotted paths', () => {
+        addPeople();
+        expect(matched({ var: 'x', type: 'Person', where: { home: { realm: 'Shire' } } })).toEqual(['Pippin']);
+
+        engine = new RulesEngine();
+        addPeople();
+        expect(matched({ var: 'x', type: 'Person', where: { 'home.realm': { $in: ['Gondor', 'Shire'] } } }))
+            .toEqual(['Aragorn', 'Pippin']);
+    });
+
+    test('$exists', () => {
+        addPeople();
+        expect(matched({ var: 'x', type: 'Person', where: { home: { $exists: false } } })).toEqual(['Gimli']);
+    });
+
+    test('$regex, as a string with $flags or as a RegExp', () => {
+        addPeople();
+        expect(matched({ var: 'x', type: 'Person', where: { name: { $regex: '^(a|g)', $flags: 'i' } } }))
+            .toEqual(['Aragorn', 'Gimli']);
+
+        engine = new RulesEngine();
+        addPeople();
+        expect(matched({ var: 'x', type: 'Person', where: { name: { $regex: /i/g } } }))
+            .toEqual(['Gimli', 'Pippin']);
+    });
+
+    test('$ref equality compiles to a hashed join', () => {
+        addPeople();
+        engine.addFact({ type: 'Event', category: 'Birthday', personName: 'Pippin' });
+        const conditions = {
+            all: [
+                { var: 'x', type: 'Person' },
+                { var: 'e', type: 'Event', where: { category: 'Birthday', personName: { $ref: 'x.name' } } }
+            ]
+        };
+        expect(matched(conditions)).toEqual(['Pippin']);
+
+        const join = engine.explain('Probe').network;
+        expect(join).toMatchObject({ node: 'JoinNode', hashed: true });
+    });
+
+    test('other $ref comparisons are tested after the join', () => {
+        addPeople();
+        engine.addFact({ type: 'Person', name: 'Sam', age: 38, race: 'Hobbit' });
+        const conditions = {
+            all: [
+                { var: 'p', type: 'Person', where: { name: 'Pippin' } },
+                { var: 'x', type: 'Person', where: { race: { $ref: 'p.race' }, age: { $gt: { $ref: 'p.age' } } } }
+            ]
+        };
+        expect(matched(conditions)).toEqual(['Sam']);
+
+        const { network } = engine.explain('Probe');
+        expect(network).toMatchObject({ node: 'BetaTestNode', where: { age: { $gt: { $ref: 'p.age' } } } });
+    });
+
+    test('$ref inside not refers to the enclosing variables', () => {
+        addPeople();
+        engine.addFact({ type: 'Party', host: 'Pippin' });
+        const conditions = {
+            all: [
+                { var: 'x', type: 'Person' },
+                { not: { type: 'Party', where: { host: { $ref: 'x.name' } } } }
+            ]
+        };
+        expect(matched(conditions)).toEqual(['Aragorn', 'Gimli', 'Legolas']);
+    });
+
+    test('$ref equality in an accumulator correlates it with the left token', () => {
+        engine.addFact({ type: 'Customer', name: 'Frodo' });
+        engine.addFact({ type: 'Customer', name: 'Sam' });
+        engine.addFact({ type: 'Order', customer: 'Frodo', total: 10 });
+        engine.addFact({ type: 'Order', customer: 'Frodo', total: 5 });
+        engine.addFact({ type: 'Order', customer: 'Sam', total: 7 });
+        const totals = {};
+        engine.addRule({
+            name: 'Totals',
+            conditions: {
+                all: [
+                    { var: 'c', type: 'Customer' },
+                    {
+                        type: 'Order',
+                        var: 'total',
+                        where: { customer: { $ref: 'c.name' } },
+                        accumulate: {
+                            initial: () => 0,
+                            reduce: (sum, o) => sum + o.data.total,
+                            retract: (sum, o) => sum - o.data.total
+                        }
+                    }
+                ]
+            },
+            action: (facts, eng, { c, total }) => { totals[c.data.name] = total; }
+        });
+        engine.run();
+        expect(totals).toEqual({ Frodo: 15, Sam: 7 });
+    });
+
+    test('rules written as JSON', () => {
+        addPeople();
+        const stored = JSON.stringify({
+            all: [
+                { var: 'x', type: 'Person', where: { age: { $gte: 18 } } },
+                { type: 'Person', where: { race: 'Elf', name: { $ne: { $ref: 'x.name' } } } }
+            ]
+        });
+        expect(matched(JSON.parse(stored))).toEqual(['Aragorn', 'Gimli']);
+    });
+
+    test('queries answer $in from a hash index', () => {
+        engine.createIndex('Person', 'race');
+        addPeople();
+        const scan = jest.spyOn(engine.wmi, 'getByType');
+
+        const found = engine.query('Person').where({ race: { $in: ['Elf', 'Dwarf'] } }).execute();
+        expect(found.map(f => f.data.name).sort()).toEqual(['Gimli', 'Legolas']);
+        expect(scan).not.toHaveBeenCalled();
+    });
+
+    test('invalid where conditions', () => {
+        const rule = conditions => () => engine.addRule({ name: 'Bad', conditions, action: () => {} });
+
+        expect(rule({ type: 'Person', where: { name: { $ref: 'p.name' } } }))
+            .toThrow(/references variable "p", which is not bound by an earlier condition/);
+        expect(rule({ all: [{ var: 'p', type: 'Person' }, { type: 'Pet', where: { owner: { $ref: 'q.name' } } }] }))
+            .toThrow(/references variable "q"/);
+        expect(rule({ type: 'Person', where: { home: { realm: 'Shire', $exists: true } } }))
+            .toThrow(/"home" in 'where' on type "Person" mixes operators with nested attributes/);
+        expect(rule({ type: 'Person', where: { age: { $older: 3 } } })).toThrow(/Unknown operator "\$older"/);
+        expect(rule({
+            all: [
+                { var: 'c', type: 'Customer' },
+                { type: 'Order', where: { total: { $gt: { $ref: 'c.limit' } } }, accumulate: { initial: () => 0, reduce: n => n } }
+            ]
+        })).toThrow(/can only use '\$ref' for equality/);
+    });
+});